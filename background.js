@@ -1,12 +1,165 @@
+importScripts('metadata.js', 'settings.js', 'history.js'); // extensionForMime, the history store
+
+// Right-click menu entries. "Magnify image" is offered on every kind of
+// target because the image is often hidden behind overlay divs; content.js
+// resolves it at the spot that was right-clicked. "Save all images" opens
+// the batch grid, always in the top frame.
+chrome.runtime.onInstalled.addListener(() => {
+  const contexts = ['page', 'frame', 'image', 'link', 'video', 'selection'];
+  chrome.contextMenus.create({ id: 'dblctrl-magnify', title: 'Magnify image', contexts });
+  chrome.contextMenus.create({ id: 'dblctrl-save-all', title: 'Save all images\u2026', contexts });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab) return;
+
+  let send;
+  if (info.menuItemId === 'dblctrl-magnify') {
+    send = chrome.tabs.sendMessage(tab.id, { action: 'magnifyAtContextMenu' }, { frameId: info.frameId || 0 });
+  } else if (info.menuItemId === 'dblctrl-save-all') {
+    send = chrome.tabs.sendMessage(tab.id, { action: 'openBatch' }, { frameId: 0 });
+  }
+  send?.catch(() => {}); // no content script here (e.g. the Web Store)
+});
+
+// Filenames still missing their extension (content.js couldn't read the
+// image to tell its type), by URL: this fires before the download()
+// callback has the id. The server's MIME type decides.
+const pendingExtensions = new Map();
+
+chrome.downloads.onDeterminingFilename.addListener((item, suggest) => {
+  const filename = pendingExtensions.get(item.url);
+  if (filename === undefined) {
+    suggest(); // not ours, or already named
+    return;
+  }
+
+  pendingExtensions.delete(item.url);
+  const ext = DblCtrlMetadata.extensionForMime(item.mime);
+  suggest({ filename: ext ? `${filename}.${ext}` : filename, conflictAction: 'uniquify' });
+});
+
+// content.css as text, read once per service worker start
+let styles = null;
+
+// Images handed to handoff.html, by id, until the new tab picks them up.
+// For blob: and data: images, which a new tab can't be pointed at.
+const handoffs = new Map();
+
+// New tabs open next to the page they came from
+function openTab(url, sender) {
+  const options = { url };
+  if (sender.tab) {
+    options.index = sender.tab.index + 1;
+    options.openerTabId = sender.tab.id;
+  }
+  return chrome.tabs.create(options);
+}
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Frame-to-frame messages from content.js: to one frame when frameId
+  // is given (0 = top frame), otherwise to every frame in the tab.
+  if (message.action === 'relay' && sender.tab) {
+    const options = message.frameId === undefined ? {} : { frameId: message.frameId };
+    chrome.tabs.sendMessage(sender.tab.id, message.message, options).catch(() => {});
+    return;
+  }
+
+  // content.css for the UI's shadow root (see getUiRoot in content.js)
+  if (message.action === 'getStyles') {
+    styles ||= fetch(chrome.runtime.getURL('content.css')).then((r) => r.text());
+    styles.then(sendResponse, () => {
+      styles = null;
+      sendResponse('');
+    });
+    return true;
+  }
+
+  // "Open original" and "Search this image" for images with a web address
+  if (message.action === 'openTab' && /^https?:/.test(message.url)) {
+    openTab(message.url, sender);
+    return;
+  }
+
+  // The same for blob: and data: images: handoff.html shows the image
+  // or posts it to the search provider's upload form
+  if (message.action === 'handoff') {
+    const id = crypto.randomUUID();
+    handoffs.set(id, {
+      dataUrl: message.dataUrl,
+      title: message.title,
+      upload: message.upload || null
+    });
+    openTab(chrome.runtime.getURL(`handoff.html#${id}`), sender).catch(() => handoffs.delete(id));
+    return;
+  }
+
+  if (message.action === 'takeHandoff' && sender.url?.startsWith(chrome.runtime.getURL('handoff.html'))) {
+    sendResponse(handoffs.get(message.id) || null);
+    handoffs.delete(message.id);
+    return;
+  }
+
+  // "Extract text" on browsers without TextDetector: the bundled OCR in
+  // the offscreen document
+  if (message.action === 'recognizeText' && sender.tab) {
+    ensureOcrDocument()
+      .then(() => chrome.runtime.sendMessage({ action: 'ocrRecognize', image: message.image }))
+      .then(sendResponse, (e) => sendResponse({ error: String(e?.message || e) }));
+    return true;
+  }
+
+  // An image the overlay showed, for the history. Never from incognito
+  // tabs: the history outlives them.
+  if (message.action === 'recordHistory' && sender.tab && !sender.tab.incognito) {
+    recordHistory(message.entry, sender.tab.url).catch(() => {});
+    return;
+  }
+
   if (message.action === 'download') {
+    const filename = message.filename || 'image.png';
+    if (message.guessExtension) pendingExtensions.set(message.url, filename);
+
     chrome.downloads.download({
       url: message.url,
-      filename: message.filename || 'image.png',
-      saveAs: true
+      filename,
+      saveAs: message.saveAs !== false, // "skip Save As" and batch saves go straight to a folder
+      conflictAction: 'uniquify'
     }, (downloadId) => {
+      if (!downloadId) pendingExtensions.delete(message.url);
       sendResponse({ success: !!downloadId });
     });
     return true; // Keep channel open for async response
   }
 });
+
+// One offscreen document at most. A restarted service worker has
+// forgotten it made one, so ask the browser rather than keep a flag.
+let creatingOcrDocument = null;
+
+async function ensureOcrDocument() {
+  const existing = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+  if (existing.length) return;
+
+  creatingOcrDocument ||= chrome.offscreen.createDocument({
+    url: 'ocr.html',
+    reasons: ['WORKERS'],
+    justification: 'Recognize text in images with the bundled OCR engine'
+  }).finally(() => {
+    creatingOcrDocument = null;
+  });
+  await creatingOcrDocument;
+}
+
+async function recordHistory(entry, tabUrl) {
+  const settings = await DblCtrlSettings.load();
+  if (!DblCtrlSettings.isHistoryKept(settings, tabUrl)) return;
+
+  const toBlob = async (dataUrl) => dataUrl ? (await fetch(dataUrl)).blob() : null;
+  await DblCtrlHistory.put({
+    ...entry,
+    full: await toBlob(entry.full),
+    thumbnail: await toBlob(entry.thumbnail)
+  });
+  await DblCtrlHistory.trim(settings.historyMaxMB * 1024 * 1024);
+}
@@ -0,0 +1,51 @@
+// Private channel between the extension's isolated world and
+// page-blocker.js in the page's MAIN world. Loaded at document_start in
+// the top frame, like page-blocker.js, and used by content.js to tell it
+// how to treat keys and to receive the keys the overlay uses.
+//
+// Both scripts run before any page script. In that window they swap a
+// random nonce through synchronous CustomEvents; after that, messages
+// travel as CustomEvents whose type contains the nonce, which the page
+// can neither listen for nor forge. Details are JSON strings, which
+// cross between the worlds intact.
+
+(function () {
+  'use strict';
+
+  let outbound = null; // event types, once connected
+  const listeners = [];
+
+  function connect(nonce) {
+    outbound = `dblctrl-${nonce}-page`;
+    window.addEventListener(`dblctrl-${nonce}-ext`, (e) => {
+      let message;
+      try {
+        message = JSON.parse(e.detail);
+      } catch (err) {
+        return;
+      }
+      for (const listener of listeners) listener(message);
+    });
+    send({ type: 'ready' });
+  }
+
+  function send(message) {
+    if (outbound) window.dispatchEvent(new CustomEvent(outbound, { detail: JSON.stringify(message) }));
+  }
+
+  function onMessage(listener) {
+    listeners.push(listener);
+  }
+
+  // Whichever of the two scripts runs first, one of these catches the
+  // other: page-blocker.js announces its nonce when it starts, and again
+  // in reply to a hello. It stops replying once we say "ready".
+  window.addEventListener('dblctrl-nonce', function onNonce(e) {
+    if (typeof e.detail !== 'string') return;
+    window.removeEventListener('dblctrl-nonce', onNonce);
+    connect(e.detail);
+  });
+  window.dispatchEvent(new CustomEvent('dblctrl-hello'));
+
+  self.DblCtrlChannel = { send, onMessage };
+})();
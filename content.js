@@ -7,98 +7,393 @@
 
   // ── State ──────────────────────────────────────────────────────────────
 
-  const DOUBLE_CTRL_THRESHOLD = 400; // ms between two Ctrl presses
-  const MIN_IMAGE_SIZE = 20; // px - skip tiny images
-  const ZOOM_LEVELS = [0.5, 1, 2, 4, 8];
+  // Trigger, double-tap window, zoom steps, minimum image size and
+  // backdrop opacity come from the options page (see settings.js).
+  let settings = DblCtrlSettings.DEFAULTS;
 
-  let firstCtrlDown = 0;
-  let awaitSecondCtrl = false;
+  let firstTriggerDown = 0;
+  let awaitSecondTrigger = false;
   let mouseX = 0;
   let mouseY = 0;
+  let pointerInside = false; // whether the pointer is over this frame
+  let contextMenuX = 0; // where the last right-click happened, for the
+  let contextMenuY = 0; // "Magnify image" context menu entry
+  let pointerStale = false; // the page scrolled under a resting mouse
+  let pointerInChildFrame = false; // the mouse left for one of our frames
+  let lastWheelAt = 0;
+  let longPress = null; // pending touch/pen long-press: { id, x, y, timer }
+  let swallowPressEvents = false;
+  const LONG_PRESS_MS = 500;
+
+  // content.js runs in every frame (all_frames), but the overlay only
+  // ever opens in the top one. See handleDoubleCtrl.
+  const isTopFrame = window === window.top;
+  const SVG_NS = 'http://www.w3.org/2000/svg';
 
   let overlayEl = null;
   let currentImageUrl = null;
+  let imageFetch = null; // { url, response, bytes } - see currentImageFetch
   let currentZoom = 1;
   let panX = 0;
   let panY = 0;
   let isPanning = false;
+  const pointers = new Map(); // active pointerId -> { x, y }
+  let pinchStart = null;
+  let panSamples = []; // recent pan positions, for the release velocity
+  let inertiaFrame = 0;
+  let lastTap = null;
+  const DOUBLE_TAP_MS = 300;
   let panStartX = 0;
   let panStartY = 0;
+  let panDownX = 0;
+  let panDownY = 0;
+  let panMoved = false; // tells a click from the end of a drag
+  let tapOnImage = false;
+  let rotation = 0; // degrees clockwise; not wrapped, so CSS animates the short way
+  let flipX = false;
+  let flipY = false;
+
+  // Pixel inspection: nearest-neighbour rendering, higher zoom ceiling,
+  // a pixel grid and a color readout under the cursor.
+  const PIXEL_ZOOM_LEVELS = [16, 32, 64];
+  const PIXEL_GRID_MIN_SIZE = 8; // screen px per image px before the grid shows
+  let pixelMode = false;
+  let pixelContext; // undefined = not sampled yet, null = tainted
+  let hoveredColor = null;
+
+  let galleryImages = []; // [{ url, el }] in document order
+  let galleryIndex = -1;
+  let galleryCurrent = null;
+  let galleryObserver = null;
+  let galleryRefreshTimer = 0;
+
+  let historyId = null; // history entry for the image showing; null: not kept (section P)
+  let ocrLines = null; // [{ text, boxes }] found by "Extract text", in image px (section Q)
+  let ocrToken = 0; // drops stale text detection
+  let picker = null; // "pick an image" mode: { images, index, highlight, hint } (section R)
+  let infoRenderToken = 0; // drops stale info panel renders
+  let upgradeToken = 0; // drops stale full-resolution upgrades
+
+  // Crop and annotation (see section K)
+  let editMode = false;
+  let editTool = null; // 'crop', 'arrow', 'rect', 'pen', 'text', 'blur'; null pans
+  let editColor = '#ff3b30';
+  let edits = { crop: null, marks: [] };
+  let editUndo = []; // earlier states of edits
+  let editDraft = null; // the shape being dragged
+
+  // Compare (see section L). The pin survives closing the overlay, so
+  // the next image opened is shown against it.
+  let pinned = null; // { url }
+  let compareMode = 'side'; // 'side', 'swipe', 'onion' or 'diff'
+
+  // Animated images (see section M)
+  let animation = null; // { decoder, canvas, frameCount, index, playing, ... }
+  let animationSpeed = 1; // kept from one image to the next
+  let animationToken = 0; // drops stale decodes
+
+  // Hover preview (see section N)
+  let hoverPreview = null; // { el, img, hit, rect, frame }
+  let hoverTimer = 0;
+  let hoverToken = 0; // drops previews whose image loaded too late
+  let hoverResolvedAt = 0;
+  let hoverScrolledAt = 0;
+
+  let uiHost = null; // <dblctrl-ui>, holding the closed shadow root
+  let uiRoot = null;
+  let scrollLock = null; // the page's own body overflow while we hold it
+  let keysDraining = false; // page-blocker.js swallowing keys after a close
+  let focusBeforeOverlay = null; // the page element to give focus back to
+
+  let batchEl = null; // the "Save all images" grid
+  let batchItems = []; // [{ url, type, width, height, selected, tile, thumb }]
+  let batchBusy = false;
+
+  DblCtrlSettings.load().then(applySettings);
+  DblCtrlSettings.subscribe(applySettings);
+
+  function applySettings(next) {
+    settings = next;
+
+    if (!isEnabledHere()) closeOverlay();
+
+    // Settings changes reach an open overlay live
+    if (overlayEl) {
+      overlayEl.style.setProperty('--dblctrl-backdrop-opacity', settings.backdropOpacity);
+      overlayEl.querySelector('#dblctrl-search').hidden = !settings.searchProviders.length;
+      closeSearchMenu();
+      zoomTo(currentZoom);
+    }
+  }
+
+  function isEnabledHere() {
+    return DblCtrlSettings.isSiteEnabled(settings, location.href);
+  }
 
-  // ── (A) Double-Ctrl Detection ─────────────────────────────────────────
+  // ── (A) Trigger Detection ─────────────────────────────────────────────
   // Key event blocking is handled by page-blocker.js which runs in the
-  // page's MAIN world (declared in manifest.json). It checks for
-  // #dblctrl-overlay and #dblctrl-key-block DOM elements to decide
-  // whether to swallow keyboard events.
+  // page's MAIN world (declared in manifest.json). It swallows keyboard
+  // events by the key policy we send it over channel.js (see "Overlay
+  // keys" in section C).
 
   document.addEventListener('mousemove', (e) => {
     mouseX = e.clientX;
     mouseY = e.clientY;
+    pointerInside = true;
+    pointerStale = false;
+    pointerInChildFrame = false;
+  });
+
+  // Moving into a child frame (or out of the window) fires a mouseout
+  // with no relatedTarget in this document.
+  document.addEventListener('mouseout', (e) => {
+    if (e.relatedTarget) return;
+    pointerInside = false;
+    pointerInChildFrame = e.target.tagName === 'IFRAME' || e.target.tagName === 'FRAME';
   });
 
-  // Watch for overlay removal by page-blocker.js (which runs in the
-  // page's MAIN world and handles Escape by removing the overlay DOM
-  // directly). When that happens, reset our internal state.
-  const domObserver = new MutationObserver(() => {
-    if (overlayEl && !overlayEl.parentNode) {
-      overlayEl = null;
-      currentImageUrl = null;
+  // Scrolling with the wheel or a finger keeps the pointer where the user
+  // is looking; scrolling by keyboard or script moves the page away from
+  // under it.
+  document.addEventListener('wheel', () => { lastWheelAt = performance.now(); }, { capture: true, passive: true });
+  document.addEventListener('touchmove', () => { lastWheelAt = performance.now(); }, { capture: true, passive: true });
+  document.addEventListener('scroll', () => {
+    if (performance.now() - lastWheelAt > 300) pointerStale = true;
+  }, { capture: true, passive: true });
+
+  // The contextMenus API doesn't say where the click was, so remember it.
+  // background.js sends "magnifyAtContextMenu" to the frame it happened in.
+  document.addEventListener('contextmenu', (e) => {
+    contextMenuX = e.clientX;
+    contextMenuY = e.clientY;
+  }, true);
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === 'magnifyAtPointer' && pointerInside) {
+      if (pointerStale || !magnifyAtPointer()) requestPick();
+    } else if (message.action === 'magnifyFallback' && isTopFrame) {
+      magnifyFallback();
+    } else if (message.action === 'startPick' && isTopFrame) {
+      startPick();
+    } else if (message.action === 'magnifyAtContextMenu') {
+      if (!overlayEl && !magnifyAt(contextMenuX, contextMenuY)) showToast('No image found here');
+    } else if (message.action === 'openBatch' && isTopFrame) {
+      openBatch();
+    } else if (message.action === 'openOverlay' && isTopFrame) {
+      // A frame's image opens over the top page, so the top page's site
+      // rules apply; the popup's history is the user's own choice
+      if (!message.fromHistory && !isEnabledHere()) return;
+      openOverlay(message.url, null, message.originals, message.alt);
+      // Reopened from the history: it's in there already
+      if (message.fromHistory) historyId = null;
     }
   });
-  domObserver.observe(document.documentElement, { childList: true, subtree: true });
 
-  // Any scroll or non-Ctrl key resets the double-tap detection entirely.
+  // Any scroll or other key resets the double-tap detection entirely.
   // This prevents Ctrl+scroll (browser zoom) from triggering the overlay.
-  function resetCtrlDetection() { firstCtrlDown = 0; awaitSecondCtrl = false; }
-  document.addEventListener('wheel', resetCtrlDetection, true);
+  function resetTriggerDetection() { firstTriggerDown = 0; awaitSecondTrigger = false; }
+  document.addEventListener('wheel', resetTriggerDetection, true);
 
   document.addEventListener('keydown', (e) => {
-    if (e.key !== 'Control') { resetCtrlDetection(); return; }
+    // With a hover preview showing, one press of the trigger is enough
+    if (hoverPreview) {
+      const promote = settings.triggerMode === 'chord'
+        ? DblCtrlSettings.matchesChord(e, settings.triggerChord)
+        : e.key === settings.triggerKey;
+      if (promote && !e.repeat && isEnabledHere()) {
+        e.preventDefault();
+        resetTriggerDetection();
+        promoteHoverPreview();
+        return;
+      }
+      hideHoverPreview();
+    }
+
+    if (settings.triggerMode === 'chord') {
+      if (e.repeat || !DblCtrlSettings.matchesChord(e, settings.triggerChord)) return;
+      // On a blocked site the chord stays the page's own shortcut
+      if (!isEnabledHere()) return;
+      e.preventDefault();
+      handleDoubleCtrl();
+      return;
+    }
+
+    if (e.key !== settings.triggerKey) { resetTriggerDetection(); return; }
     if (e.repeat) return;
 
     const now = Date.now();
-    if (awaitSecondCtrl && now - firstCtrlDown < DOUBLE_CTRL_THRESHOLD) {
-      resetCtrlDetection();
+    if (awaitSecondTrigger && now - firstTriggerDown < settings.doubleTapThreshold) {
+      resetTriggerDetection();
       handleDoubleCtrl();
     } else {
-      firstCtrlDown = now;
-      awaitSecondCtrl = false;
+      firstTriggerDown = now;
+      awaitSecondTrigger = false;
     }
   }, true);
 
   document.addEventListener('keyup', (e) => {
-    if (e.key === 'Control' && firstCtrlDown > 0) {
-      awaitSecondCtrl = true;
+    if (settings.triggerMode === 'double' && e.key === settings.triggerKey && firstTriggerDown > 0) {
+      awaitSecondTrigger = true;
     }
   }, true);
 
+  // Long-press with touch or pen opens the overlay without a keyboard.
+  // Whichever comes first - our timer or the browser's own long-press
+  // contextmenu - triggers it; the menu and any click the press would
+  // produce afterwards are swallowed so the page doesn't act on them.
+
+  document.addEventListener('pointerdown', (e) => {
+    cancelLongPress();
+    if (!settings.longPressToOpen || e.pointerType === 'mouse' || !e.isPrimary || overlayEl) return;
+
+    longPress = {
+      id: e.pointerId,
+      x: e.clientX,
+      y: e.clientY,
+      timer: setTimeout(triggerLongPress, LONG_PRESS_MS)
+    };
+  }, true);
+
+  document.addEventListener('pointermove', (e) => {
+    if (longPress && e.pointerId === longPress.id &&
+        Math.hypot(e.clientX - longPress.x, e.clientY - longPress.y) > 10) {
+      cancelLongPress();
+    }
+  }, true);
+
+  document.addEventListener('pointerup', () => {
+    cancelLongPress();
+    // Let the press's own click/contextmenu arrive before standing down
+    if (swallowPressEvents) setTimeout(() => { swallowPressEvents = false; }, 50);
+  }, true);
+  document.addEventListener('pointercancel', cancelLongPress, true);
+  document.addEventListener('scroll', cancelLongPress, true);
+
+  for (const type of ['contextmenu', 'click']) {
+    window.addEventListener(type, (e) => {
+      if (type === 'contextmenu' && longPress) triggerLongPress();
+      if (swallowPressEvents) {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+      }
+    }, true);
+  }
+
+  function cancelLongPress() {
+    if (longPress) clearTimeout(longPress.timer);
+    longPress = null;
+  }
+
+  function triggerLongPress() {
+    if (!longPress) return;
+    const { x, y } = longPress;
+    cancelLongPress();
+
+    if (magnifyAt(x, y)) swallowPressEvents = true;
+  }
+
   // ── (B) Image Element Resolution ──────────────────────────────────────
 
+  // Runs in the frame with keyboard focus. The image under the mouse
+  // comes first, then the focused element (a link or button wrapping a
+  // thumbnail); failing both, the top frame takes over (magnifyFallback).
   function handleDoubleCtrl() {
-    if (overlayEl) return; // Already open
+    if (overlayEl || batchEl || picker) return; // Already open
+    if (!isEnabledHere()) return; // Checked per trigger: SPAs change paths
 
-    const imageUrl = resolveImageFromPoint(mouseX, mouseY);
-    if (!imageUrl) return;
+    if (pointerInside && !pointerStale && magnifyAtPointer()) return;
+    if (magnifyFocused()) return;
+
+    if (isTopFrame) magnifyFallback();
+    else chrome.runtime.sendMessage({ action: 'relay', frameId: 0, message: { action: 'magnifyFallback' } });
+  }
+
+  // The mouse may be in another of our frames, whose content script
+  // resolves at its own coordinates; otherwise there's nothing to point
+  // at, and the user picks an image with the keyboard.
+  function magnifyFallback() {
+    if (pointerInside && !pointerStale && magnifyAtPointer()) return;
+
+    if (pointerInChildFrame) {
+      chrome.runtime.sendMessage({ action: 'relay', message: { action: 'magnifyAtPointer' } });
+    } else {
+      startPick();
+    }
+  }
+
+  function requestPick() {
+    if (isTopFrame) startPick();
+    else chrome.runtime.sendMessage({ action: 'relay', frameId: 0, message: { action: 'startPick' } });
+  }
+
+  function magnifyFocused() {
+    let el = document.activeElement;
+    while (el?.shadowRoot?.activeElement) el = el.shadowRoot.activeElement;
+    if (!el || el === document.body || el === document.documentElement) return false;
+
+    const hit = resolveImageFromElement(el);
+    if (!hit) return false;
+
+    openResolved(hit);
+    return true;
+  }
+
+  function magnifyAtPointer() {
+    return magnifyAt(mouseX, mouseY);
+  }
+
+  // Resolves the image at a point in this frame and opens it in the top
+  // frame. Returns whether an image was found.
+  function magnifyAt(x, y) {
+    if (!isEnabledHere()) return false;
+
+    const hit = resolveImageFromPoint(x, y);
+    if (!hit) return false;
+
+    openResolved(hit);
+    return true;
+  }
+
+  function openResolved(hit) {
+    // Resolved here, where the element is: the top frame only gets URLs
+    const originals = DblCtrlResolvers.originalsFor(hit.url, hit.el);
 
-    openOverlay(imageUrl);
+    if (isTopFrame) {
+      openOverlay(hit.url, hit.el, originals);
+    } else {
+      chrome.runtime.sendMessage({
+        action: 'relay',
+        frameId: 0,
+        message: { action: 'openOverlay', url: hit.url, originals, alt: imageAlt(hit.el) }
+      });
+    }
   }
 
-  function resolveImageFromPoint(x, y) {
+  // With snapshots off (the hover preview), videos and canvases are
+  // passed over instead of captured.
+  function resolveImageFromPoint(x, y, root = document, { snapshots = true } = {}) {
     // elementsFromPoint returns ALL elements at the coordinate,
     // ordered front-to-back (topmost first). This is critical:
     // a small image in front of a large banner should win.
-    const elements = document.elementsFromPoint(x, y);
+    const elements = deepElementsFromPoint(root, x, y);
 
     // ── Phase 1: Direct hits, front-to-back ──
     // Check each element in stacking order. The first image we find
     // is the one visually in front — exactly what the user sees and
     // expects to magnify. Also check CSS background-image.
     for (const el of elements) {
+      if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+        const hit = resolveInFrame(el, x, y, { snapshots });
+        if (hit) return hit;
+        continue;
+      }
+      if (!snapshots && (el.tagName === 'VIDEO' || el.tagName === 'CANVAS')) continue;
+
       const url = extractUrl(el);
-      if (url) return url;
+      if (url) return { url, el };
 
       const bgUrl = extractBgUrl(el);
-      if (bgUrl) return bgUrl;
+      if (bgUrl) return { url: bgUrl, el };
     }
 
     // ── Phase 2: Deep child search (fallback) ──
@@ -108,145 +403,527 @@
     const candidates = [];
     const seen = new Set();
 
-    for (const el of elements) {
-      const imgs = el.querySelectorAll('img, picture, svg');
+    for (const el of DblCtrlImages.outermostElements(elements)) {
+      const imgs = deepQuerySelectorAll(el, snapshots ? 'img, picture, svg, video, canvas' : 'img, picture, svg');
       for (const child of imgs) {
-        const rect = child.getBoundingClientRect();
-        if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) {
-          addCandidate(child, candidates, seen);
-        }
+        if (DblCtrlImages.containsPoint(child, x, y)) addCandidate(child, candidates, seen);
       }
     }
 
-    if (candidates.length === 0) return null;
+    return DblCtrlImages.bestCandidate(candidates);
+  }
+
+  // document.elementsFromPoint stops at shadow hosts. Splice in what each
+  // open shadow root has at the same point, just ahead of its host, so the
+  // list stays front-to-back.
+  function deepElementsFromPoint(root, x, y) {
+    const result = [];
+
+    for (const el of root.elementsFromPoint(x, y)) {
+      if (el.shadowRoot && el.shadowRoot !== root) {
+        const inner = deepElementsFromPoint(el.shadowRoot, x, y);
+        const hostIndex = inner.indexOf(el);
+        for (const child of hostIndex === -1 ? inner : inner.slice(0, hostIndex)) {
+          if (!result.includes(child)) result.push(child);
+        }
+      }
+      if (!result.includes(el)) result.push(el);
+    }
 
-    candidates.sort((a, b) => b.score - a.score);
-    return candidates[0].url;
+    return result;
   }
 
-  function extractBgUrl(el) {
-    const bg = getComputedStyle(el).backgroundImage;
-    if (!bg || bg === 'none') return null;
+  function deepQuerySelectorAll(root, selector) {
+    const results = [...root.querySelectorAll(selector)];
+    const hosts = root.shadowRoot ? [root, ...root.querySelectorAll('*')] : root.querySelectorAll('*');
+
+    for (const el of hosts) {
+      if (el.shadowRoot) results.push(...deepQuerySelectorAll(el.shadowRoot, selector));
+    }
+
+    return results;
+  }
 
-    const match = bg.match(/url\(["']?(.+?)["']?\)/);
-    if (!match) return null;
+  // The image an element stands for: its own, or the best one inside it
+  function resolveImageFromElement(el) {
+    const url = extractUrl(el) || extractBgUrl(el);
+    if (url) return { url, el };
 
-    const rect = el.getBoundingClientRect();
-    if (rect.width < MIN_IMAGE_SIZE || rect.height < MIN_IMAGE_SIZE) return null;
+    const candidates = [];
+    const seen = new Set();
+    for (const child of deepQuerySelectorAll(el, 'img, picture, svg, video, canvas')) {
+      addCandidate(child, candidates, seen);
+    }
 
-    return match[1];
+    return DblCtrlImages.bestCandidate(candidates);
   }
 
-  function addCandidate(el, candidates, seen) {
-    const url = extractUrl(el);
-    if (!url || seen.has(url)) return;
-    seen.add(url);
+  // Whole-page version of resolveImageFromPoint's extraction: elements,
+  // CSS backgrounds, open shadow roots and same-origin frames, in
+  // document order. Calls visit(el, url) for each; videos and canvases
+  // come with a null url, as capturing them is up to the caller.
+  function scanPageImages(visit) {
+    const scan = (doc) => {
+      for (const el of deepQuerySelectorAll(doc, '*')) {
+        const tag = el.tagName;
 
-    const rect = el.getBoundingClientRect();
-    const area = rect.width * rect.height;
-    const naturalArea = (el.naturalWidth || 0) * (el.naturalHeight || 0);
+        if (tag === 'IFRAME' || tag === 'FRAME') {
+          let inner = null;
+          try {
+            inner = el.contentDocument;
+          } catch (e) {
+            // cross-origin
+          }
+          if (inner) scan(inner);
+          continue;
+        }
+
+        // A <picture> resolves through its own <img>, an inline SVG once
+        // at its root, and <source> may well be a video file.
+        if (tag === 'SOURCE') continue;
+        if (tag === 'IMG' && el.parentElement?.tagName === 'PICTURE') continue;
+        if (el.namespaceURI === SVG_NS && tag !== 'svg') continue;
+
+        if (tag === 'VIDEO' || tag === 'CANVAS') {
+          visit(el, null);
+          continue;
+        }
+
+        let url = extractUrl(el);
+        if (!url) {
+          const bgUrl = extractBgUrl(el);
+          url = bgUrl && DblCtrlImages.absoluteUrl(bgUrl, el);
+        }
+        if (url) visit(el, url);
+      }
+    };
+
+    scan(document);
+  }
+
+  // An element's box in the top frame's viewport, for one inside
+  // same-origin frames
+  function viewportRect(el) {
+    let { left, top, width, height } = el.getBoundingClientRect();
+    for (let frame = el.ownerDocument.defaultView?.frameElement; frame;
+      frame = frame.ownerDocument.defaultView?.frameElement) {
+      const rect = frame.getBoundingClientRect();
+      const style = getComputedStyle(frame);
+      left += rect.left + frame.clientLeft + parseFloat(style.paddingLeft);
+      top += rect.top + frame.clientTop + parseFloat(style.paddingTop);
+    }
+    return { left, top, width, height, right: left + width, bottom: top + height };
+  }
 
-    // Score: prefer blob URLs (full-res) > http > data (previews)
-    // Also factor in display size and natural size
-    let score = 0;
+  // Same-origin frames are searched directly, with the point translated
+  // into the frame's viewport. Cross-origin frames are out of reach here;
+  // their own content script resolves for them (see handleDoubleCtrl).
+  function resolveInFrame(frame, x, y, options) {
+    let doc = null;
+    try {
+      doc = frame.contentDocument;
+    } catch (e) {
+      // cross-origin
+    }
+    if (!doc || !doc.documentElement) return null;
 
-    // URL type scoring - blob URLs are almost always the full-res image
-    if (url.startsWith('blob:')) score += 10000;
-    else if (url.startsWith('http')) score += 5000;
-    else if (url.startsWith('data:')) score += 1000;
+    const rect = frame.getBoundingClientRect();
+    const style = getComputedStyle(frame);
+    const fx = x - rect.left - frame.clientLeft - parseFloat(style.paddingLeft);
+    const fy = y - rect.top - frame.clientTop - parseFloat(style.paddingTop);
 
-    // Natural image dimensions (if available) - bigger = better
-    score += Math.min(naturalArea / 100, 5000);
+    return resolveImageFromPoint(fx, fy, doc, options);
+  }
 
-    // Display area - bigger displayed images are more likely the target
-    score += Math.min(area / 10, 3000);
+  function extractBgUrl(el) {
+    return DblCtrlImages.extractBgUrl(el, settings.minImageSize);
+  }
 
-    candidates.push({ url, score, el });
+  function addCandidate(el, candidates, seen) {
+    const url = extractUrl(el);
+    if (!url || seen.has(url)) return;
+    seen.add(url);
+    candidates.push({ url, score: DblCtrlImages.scoreCandidate(url, el), el });
   }
 
   function extractUrl(el) {
+    const url = extractElementUrl(el);
+    return url && DblCtrlImages.absoluteUrl(url, el);
+  }
+
+  function extractElementUrl(el) {
     const tag = el.tagName;
 
     if (tag === 'IMG') {
       if (isImageTooSmall(el)) return null;
+      // Inside a <picture> the browser may be showing one of its <source>s
+      if (el.parentElement?.tagName === 'PICTURE') {
+        const fromSource = DblCtrlImages.bestSrcFromPicture(el.parentElement, settings.minImageSize);
+        if (fromSource) return fromSource;
+      }
       return getBestSrcFromImg(el) || el.src || el.dataset.src || el.dataset.lazySrc || el.dataset.original || null;
     }
 
     if (tag === 'PICTURE') {
-      return getBestSrcFromPicture(el);
+      return DblCtrlImages.bestSrcFromPicture(el, settings.minImageSize);
     }
 
     if (tag === 'SOURCE') {
-      return parseSrcset(el.srcset) || el.src || null;
+      return DblCtrlImages.parseSrcset(el.srcset) || el.src || null;
     }
 
-    if (tag === 'svg' || el instanceof SVGElement) {
+    // namespaceURI rather than instanceof: elements from a frame belong
+    // to another realm's SVGElement.
+    if (tag === 'svg' || el.namespaceURI === SVG_NS) {
       if (isImageTooSmall(el)) return null;
       return svgToDataUrl(el.closest('svg') || el);
     }
 
+    if (tag === 'VIDEO') {
+      if (isImageTooSmall(el)) return null;
+      return captureVideoFrame(el);
+    }
+
+    if (tag === 'CANVAS') {
+      if (isImageTooSmall(el)) return null;
+      return captureCanvas(el);
+    }
+
     return null;
   }
 
   function isImageTooSmall(el) {
-    const rect = el.getBoundingClientRect();
-    return rect.width < MIN_IMAGE_SIZE || rect.height < MIN_IMAGE_SIZE;
+    return DblCtrlImages.isTooSmall(el, settings.minImageSize);
   }
 
-  function parseSrcset(srcset) {
-    if (!srcset) return null;
+  function getBestSrcFromImg(img) {
+    return DblCtrlImages.parseSrcset(img.srcset);
+  }
 
-    const candidates = srcset.split(',').map((s) => {
-      const parts = s.trim().split(/\s+/);
-      const url = parts[0];
-      const descriptor = parts[1] || '1x';
-      const value = parseFloat(descriptor);
-      return { url, value: isNaN(value) ? 1 : value };
-    });
+  function svgToDataUrl(svgEl) {
+    const serializer = new XMLSerializer();
+    const svgStr = serializer.serializeToString(svgEl);
+    return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svgStr);
+  }
 
-    candidates.sort((a, b) => b.value - a.value);
-    return candidates[0]?.url || null;
+  // Video frames and canvases are snapshotted to PNG data URLs, so they
+  // go through the overlay, copy and save like any other image. A
+  // cross-origin source taints the canvas and makes toDataURL throw.
+
+  function captureVideoFrame(video) {
+    // No frame decoded yet (not started, or still buffering)
+    if (video.readyState < HTMLMediaElement.HAVE_CURRENT_DATA || !video.videoWidth) {
+      return video.poster || null;
+    }
+
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+      canvas.getContext('2d').drawImage(video, 0, 0);
+      return canvas.toDataURL('image/png');
+    } catch (e) {
+      if (video.poster) {
+        showToast('Cross-origin video \u2014 showing its poster instead');
+        return video.poster;
+      }
+      showToast('Cannot capture \u2014 video is cross-origin');
+      return null;
+    }
   }
 
-  function getBestSrcFromImg(img) {
-    return parseSrcset(img.srcset);
+  function captureCanvas(canvas) {
+    if (!canvas.width || !canvas.height) return null;
+
+    try {
+      return canvas.toDataURL('image/png');
+    } catch (e) {
+      showToast('Cannot capture \u2014 canvas contains cross-origin images');
+      return null;
+    }
   }
 
-  function getBestSrcFromPicture(picture) {
-    const sources = picture.querySelectorAll('source');
-    for (const source of sources) {
-      const url = parseSrcset(source.srcset) || source.src;
-      if (url) return url;
+  // ── (C) Overlay Manager ───────────────────────────────────────────────
+
+  // ── UI root ──
+  // Everything the extension shows - overlay, "Save all" grid, toasts,
+  // hover preview - lives in one closed shadow root. Page CSS can't
+  // restyle it, and page scripts can't query it or see its mutations.
+  // content.css is adopted by the root, not the page. It comes from
+  // background.js as text: as a web-accessible file any page could load
+  // it, and so tell that the extension is installed.
+
+  function getUiRoot() {
+    if (!uiRoot) {
+      uiHost = document.createElement('dblctrl-ui');
+      uiRoot = uiHost.attachShadow({ mode: 'closed' });
+
+      // Hidden until styled, so the first overlay doesn't flash unstyled
+      uiHost.style.display = 'none';
+      chrome.runtime.sendMessage({ action: 'getStyles' })
+        .then((css) => {
+          const sheet = new CSSStyleSheet();
+          sheet.replaceSync(css || '');
+          uiRoot.adoptedStyleSheets = [sheet];
+        })
+        .catch(() => {})
+        .finally(() => uiHost.style.removeProperty('display'));
+
+      uiRoot.addEventListener('focusin', updateKeyPolicy);
+      uiRoot.addEventListener('focusout', () => setTimeout(updateKeyPolicy));
+
+      // A page that rebuilds <html>'s children takes the host with it
+      new MutationObserver(() => {
+        if (uiHost.isConnected) return;
+        closeOverlay();
+        closeBatch();
+      }).observe(document.documentElement, { childList: true });
     }
-    const img = picture.querySelector('img');
-    if (img) {
-      if (isImageTooSmall(img)) return null;
-      return getBestSrcFromImg(img) || img.src || img.dataset.src;
+
+    if (!uiHost.isConnected) document.documentElement.appendChild(uiHost);
+    return uiRoot;
+  }
+
+  // The page's own inline overflow is put back exactly as it was
+  function lockScroll() {
+    if (scrollLock) return;
+    const style = document.body.style;
+    scrollLock = { value: style.getPropertyValue('overflow'), priority: style.getPropertyPriority('overflow') };
+    style.setProperty('overflow', 'hidden', 'important');
+  }
+
+  function unlockScroll() {
+    if (!scrollLock) return;
+    document.body.style.setProperty('overflow', scrollLock.value, scrollLock.priority);
+    scrollLock = null;
+  }
+
+  // ── Overlay keys ──
+  // page-blocker.js keeps the page from seeing keys while the overlay is
+  // open, by the policy sent here: "overlay" swallows them and forwards
+  // Escape and SHORTCUTS, "text" lets a text field in the overlay type,
+  // and "drain" keeps swallowing for a moment after closing, so the keyup
+  // of Escape doesn't leak to the web app. channel.js and page-blocker.js
+  // only run in the top frame, which is where the overlay opens.
+
+  function updateKeyPolicy() {
+    if (keysDraining && !overlayEl && !picker) return;
+
+    const field = uiRoot?.activeElement;
+    const typing = field?.tagName === 'INPUT' && field.type === 'text';
+    let policy = null;
+    if (overlayEl) policy = { mode: typing ? 'text' : 'overlay', keys: [...Object.keys(SHORTCUTS), ...NAVIGATION_KEYS] };
+    else if (picker) policy = { mode: 'overlay', keys: PICK_KEYS };
+    self.DblCtrlChannel?.send({ type: 'keys', policy });
+  }
+
+  function drainKeys() {
+    keysDraining = true;
+    self.DblCtrlChannel?.send({ type: 'keys', policy: { mode: 'drain' } });
+    setTimeout(() => {
+      keysDraining = false;
+      updateKeyPolicy();
+    }, 200);
+  }
+
+  // Overlay shortcuts: key -> button id. The arrow keys pan instead while
+  // zoomed in (see onOverlayKey).
+  const SHORTCUTS = {
+    ArrowLeft: 'dblctrl-prev',
+    ArrowRight: 'dblctrl-next',
+    '+': 'dblctrl-zoom-in',
+    '=': 'dblctrl-zoom-in',
+    '-': 'dblctrl-zoom-out',
+    0: 'dblctrl-fit',
+    r: 'dblctrl-rotate-right',
+    R: 'dblctrl-rotate-left',
+    h: 'dblctrl-flip-h',
+    v: 'dblctrl-flip-v',
+    f: 'dblctrl-fit',
+    w: 'dblctrl-fill-width',
+    1: 'dblctrl-actual-size',
+    p: 'dblctrl-pixel-mode',
+    e: 'dblctrl-edit',
+    t: 'dblctrl-ocr',
+    i: 'dblctrl-info',
+    c: 'dblctrl-copy',
+    s: 'dblctrl-save',
+    C: 'dblctrl-pin',
+    ' ': 'dblctrl-anim-play',
+    ',': 'dblctrl-anim-prev',
+    '.': 'dblctrl-anim-next',
+    '?': 'dblctrl-help'
+  };
+
+  // Forwarded on top of SHORTCUTS: focus movement and activation, since
+  // page-blocker.js cancels the browser's own handling of these
+  const NAVIGATION_KEYS = ['Tab', 'Enter', 'ArrowUp', 'ArrowDown'];
+  const PAN_STEP = 80; // px per arrow key press
+
+  // Keys page-blocker.js swallowed on the overlay's behalf
+  self.DblCtrlChannel?.onMessage((message) => {
+    if (message.type !== 'key') return;
+    if (overlayEl) onOverlayKey(message.key, message.shift);
+    else if (picker) onPickKey(message.key, message.shift);
+  });
+
+  function onOverlayKey(key, shift) {
+    const focused = uiRoot.activeElement;
+
+    if (key === 'Escape') {
+      // Escape in a text field only empties it, which drops it on blur
+      if (focused?.tagName === 'INPUT' && focused.type === 'text') {
+        focused.value = '';
+        focused.blur();
+      } else if (overlayEl.classList.contains('dblctrl-search-open')) {
+        closeSearchMenu();
+        overlayEl.querySelector('#dblctrl-search').focus();
+      } else if (overlayEl.classList.contains('dblctrl-help-open')) {
+        toggleHelp();
+      } else {
+        closeOverlay();
+      }
+      return;
+    }
+
+    if (key === 'Tab') {
+      moveFocus(shift ? -1 : 1);
+      return;
+    }
+
+    // Enter and Space press the focused control
+    if ((key === 'Enter' || key === ' ') && focused && focused !== overlayEl &&
+        (focused.tagName === 'BUTTON' || focused.type === 'color')) {
+      focused.click();
+      return;
+    }
+
+    const arrow = { ArrowLeft: [1, 0], ArrowRight: [-1, 0], ArrowUp: [0, 1], ArrowDown: [0, -1] }[key];
+    if (arrow && focused?.getAttribute('role') === 'menuitem') {
+      const items = [...focused.parentNode.children];
+      const index = items.indexOf(focused) + (arrow[1] > 0 || arrow[0] > 0 ? -1 : 1);
+      items[(index + items.length) % items.length].focus();
+      return;
+    }
+    if (arrow && focused?.type === 'range') {
+      if (arrow[0] + arrow[1] > 0) focused.stepDown();
+      else focused.stepUp();
+      focused.dispatchEvent(new Event('input'));
+      return;
+    }
+    if (arrow && currentZoom > 1) {
+      stopInertia();
+      panX += arrow[0] * PAN_STEP;
+      panY += arrow[1] * PAN_STEP;
+      applyTransform();
+      return;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(SHORTCUTS, key)) {
+      overlayEl.querySelector('#' + SHORTCUTS[key])?.click();
     }
-    return null;
   }
 
-  function svgToDataUrl(svgEl) {
-    const serializer = new XMLSerializer();
-    const svgStr = serializer.serializeToString(svgEl);
-    return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svgStr);
+  // Tab and Shift+Tab cycle through the overlay's visible controls and
+  // never leave it
+  function moveFocus(direction) {
+    const controls = [...overlayEl.querySelectorAll('button, input, select, textarea, a[href]')]
+      .filter((el) => !el.disabled && el.getClientRects().length);
+    if (!controls.length) return;
+
+    const index = controls.indexOf(uiRoot.activeElement);
+    const next = index === -1
+      ? (direction > 0 ? 0 : controls.length - 1)
+      : (index + direction + controls.length) % controls.length;
+    controls[next].focus();
   }
 
-  // ── (C) Overlay Manager ───────────────────────────────────────────────
+  // ── Help sheet ──
+
+  const HELP = [
+    ['Esc', 'Close'],
+    ['+  \u2212', 'Zoom in / out'],
+    ['0  F', 'Fit to screen'],
+    ['W', 'Fill width'],
+    ['1', 'Actual pixels'],
+    ['\u2190 \u2191 \u2192 \u2193', 'Pan when zoomed in'],
+    ['\u2190 \u2192', 'Previous / next image'],
+    ['R  Shift+R', 'Rotate right / left'],
+    ['H  V', 'Flip horizontally / vertically'],
+    ['P', 'Pixel inspection'],
+    ['E', 'Crop & annotate'],
+    ['T', 'Extract text'],
+    ['I', 'Image info'],
+    ['C', 'Copy'],
+    ['S', 'Save'],
+    ['Shift+C', 'Pin for comparison'],
+    ['Space  ,  .', 'Play or pause, step back / forward (animations)'],
+    ['Tab', 'Move between buttons'],
+    ['?', 'Show or hide this list']
+  ];
+
+  function buildHelpSheet() {
+    const sheet = document.createElement('div');
+    sheet.id = 'dblctrl-help-sheet';
+    sheet.setAttribute('role', 'region');
+    sheet.setAttribute('aria-label', 'Keyboard shortcuts');
+
+    const heading = document.createElement('h2');
+    heading.textContent = 'Keyboard shortcuts';
+
+    const list = document.createElement('dl');
+    for (const [keys, action] of HELP) {
+      const dt = document.createElement('dt');
+      for (const key of keys.split(/\s{2}/)) {
+        const kbd = document.createElement('kbd');
+        kbd.textContent = key;
+        dt.appendChild(kbd);
+      }
+      const dd = document.createElement('dd');
+      dd.textContent = action;
+      list.append(dt, dd);
+    }
+
+    sheet.append(heading, list);
+    sheet.addEventListener('click', toggleHelp);
+    return sheet;
+  }
+
+  function toggleHelp() {
+    if (!overlayEl) return;
+    overlayEl.classList.toggle('dblctrl-help-open');
+  }
 
-  function openOverlay(imageUrl) {
-    if (overlayEl) return;
+  function openOverlay(imageUrl, sourceEl, originals = [], alt = imageAlt(sourceEl)) {
+    if (overlayEl || batchEl) return;
+    stopPick(false);
 
     currentImageUrl = imageUrl;
+    historyId = crypto.randomUUID();
+    ocrLines = null;
     currentZoom = 1;
     panX = 0;
     panY = 0;
+    resetOrientation();
+    resetEdits();
+    pixelMode = false;
+    pixelContext = undefined;
 
-    overlayEl = buildOverlayDOM(imageUrl);
-    document.body.appendChild(overlayEl);
+    overlayEl = buildOverlayDOM(imageUrl, alt);
+    overlayEl.style.setProperty('--dblctrl-backdrop-opacity', settings.backdropOpacity);
+    getUiRoot().appendChild(overlayEl);
+    updateKeyPolicy();
+    lockScroll();
 
-    // Prevent body scroll
-    document.body.style.overflow = 'hidden';
+    // Focus moves into the dialog and comes back on close. It also pulls
+    // keyboard focus up from a child frame, so page-blocker.js, which
+    // only listens in the top frame, sees the keys.
+    focusBeforeOverlay = document.activeElement;
+    overlayEl.focus({ preventScroll: true });
+
+    startGallery(imageUrl, sourceEl);
+    upgradeToOriginal(originals);
+    updateCompare();
 
     // Trigger entrance animation
     requestAnimationFrame(() => {
@@ -257,20 +934,21 @@
   function closeOverlay() {
     if (!overlayEl) return;
 
-    // Place a temporary hidden marker in the DOM so the injected
-    // page-world script keeps blocking key events for 200ms after
-    // the overlay is removed. This prevents the keyup from Escape
-    // leaking to the web app.
-    const marker = document.createElement('div');
-    marker.id = 'dblctrl-key-block';
-    marker.style.display = 'none';
-    document.body.appendChild(marker);
-    setTimeout(() => marker.remove(), 200);
+    drainKeys();
+    resetGestures();
+
+    stopAnimation();
 
     const el = overlayEl;
     overlayEl = null;
     currentImageUrl = null;
-    document.body.style.overflow = '';
+    releaseImageFetch();
+    unlockScroll();
+    stopGallery();
+
+    const restore = focusBeforeOverlay;
+    focusBeforeOverlay = null;
+    if (restore?.isConnected && restore !== document.body) restore.focus({ preventScroll: true });
 
     el.classList.remove('dblctrl-visible');
 
@@ -284,19 +962,36 @@
     }, 300);
   }
 
-  function buildOverlayDOM(imageUrl) {
+  // What the page says the image shows, for the overlay's alt text
+  function imageAlt(el) {
+    const img = el?.tagName === 'PICTURE' ? el.querySelector('img') : el;
+    const text = ['alt', 'title', 'aria-label']
+      .map((attr) => img?.getAttribute?.(attr)?.trim())
+      .find(Boolean);
+    return text || 'Magnified image';
+  }
+
+  function buildOverlayDOM(imageUrl, alt) {
     const overlay = document.createElement('div');
     overlay.id = 'dblctrl-overlay';
+    overlay.tabIndex = -1;
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-label', 'Image viewer');
 
     // Backdrop
     const backdrop = document.createElement('div');
     backdrop.id = 'dblctrl-backdrop';
-    backdrop.addEventListener('click', closeOverlay);
+    backdrop.addEventListener('click', () => {
+      if (!panMoved) closeOverlay(); // not the end of a drag or pinch
+    });
     overlay.appendChild(backdrop);
 
     // Toolbar
     const toolbar = document.createElement('div');
     toolbar.id = 'dblctrl-toolbar';
+    toolbar.setAttribute('role', 'toolbar');
+    toolbar.setAttribute('aria-label', 'Image tools');
 
     // Zoom controls
     const zoomControls = document.createElement('div');
@@ -304,7 +999,7 @@
 
     const zoomOut = document.createElement('button');
     zoomOut.id = 'dblctrl-zoom-out';
-    zoomOut.title = 'Zoom out';
+    zoomOut.title = 'Zoom out (\u2212)';
     zoomOut.textContent = '\u2212'; // minus sign
     zoomOut.addEventListener('click', () => stepZoom(-1));
 
@@ -314,12 +1009,48 @@
 
     const zoomIn = document.createElement('button');
     zoomIn.id = 'dblctrl-zoom-in';
-    zoomIn.title = 'Zoom in';
+    zoomIn.title = 'Zoom in (+)';
     zoomIn.textContent = '+';
     zoomIn.addEventListener('click', () => stepZoom(1));
 
     zoomControls.append(zoomOut, zoomLevel, zoomIn);
 
+    // Orientation and view modes. Keyboard shortcuts are forwarded as
+    // clicks by page-blocker.js.
+    const viewSep = document.createElement('div');
+    viewSep.className = 'dblctrl-separator';
+
+    const viewControls = document.createElement('div');
+    viewControls.id = 'dblctrl-view-controls';
+
+    const viewButtons = [
+      ['dblctrl-rotate-left', 'Rotate left (Shift+R)', '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="1 4 1 10 7 10"></polyline><path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path></svg>', () => rotateBy(-90)],
+      ['dblctrl-rotate-right', 'Rotate right (R)', '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="23 4 23 10 17 10"></polyline><path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path></svg>', () => rotateBy(90)],
+      ['dblctrl-flip-h', 'Flip horizontally (H)', '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="12" y1="3" x2="12" y2="21"></line><polygon points="8 7 3 12 8 17 8 7"></polygon><polygon points="16 7 21 12 16 17 16 7"></polygon></svg>', () => toggleFlip('x')],
+      ['dblctrl-flip-v', 'Flip vertically (V)', '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="3" y1="12" x2="21" y2="12"></line><polygon points="7 8 12 3 17 8 7 8"></polygon><polygon points="7 16 12 21 17 16 7 16"></polygon></svg>', () => toggleFlip('y')],
+      ['dblctrl-fit', 'Fit to screen (F)', '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M8 3H5a2 2 0 0 0-2 2v3"></path><path d="M21 8V5a2 2 0 0 0-2-2h-3"></path><path d="M3 16v3a2 2 0 0 0 2 2h3"></path><path d="M16 21h3a2 2 0 0 0 2-2v-3"></path></svg>', () => setViewMode('fit')],
+      ['dblctrl-fill-width', 'Fill width (W)', '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="7 8 3 12 7 16"></polyline><polyline points="17 8 21 12 17 16"></polyline><line x1="3" y1="12" x2="21" y2="12"></line></svg>', () => setViewMode('fill-width')],
+      ['dblctrl-actual-size', 'Actual pixels (1)', '1:1', () => setViewMode('actual')],
+      ['dblctrl-pixel-mode', 'Pixel inspection (P)', '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="3" width="18" height="18"></rect><line x1="9" y1="3" x2="9" y2="21"></line><line x1="15" y1="3" x2="15" y2="21"></line><line x1="3" y1="9" x2="21" y2="9"></line><line x1="3" y1="15" x2="21" y2="15"></line></svg>', togglePixelMode]
+    ];
+
+    for (const [id, title, icon, onClick] of viewButtons) {
+      const btn = document.createElement('button');
+      btn.id = id;
+      btn.title = title;
+      btn.innerHTML = icon;
+      btn.addEventListener('click', onClick);
+      viewControls.appendChild(btn);
+    }
+
+    // Gallery position ("3 / 42"), only shown when there's more than one image
+    const gallerySep = document.createElement('div');
+    gallerySep.className = 'dblctrl-separator dblctrl-gallery-only';
+
+    const galleryCounter = document.createElement('span');
+    galleryCounter.id = 'dblctrl-gallery-counter';
+    galleryCounter.className = 'dblctrl-gallery-only';
+
     // Separator
     const sep = document.createElement('div');
     sep.className = 'dblctrl-separator';
@@ -328,28 +1059,109 @@
     const actions = document.createElement('div');
     actions.id = 'dblctrl-actions';
 
+    const infoBtn = document.createElement('button');
+    infoBtn.id = 'dblctrl-info';
+    infoBtn.title = 'Image info (I)';
+    infoBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"></circle><line x1="12" y1="16" x2="12" y2="12"></line><line x1="12" y1="8" x2="12.01" y2="8"></line></svg>';
+    infoBtn.addEventListener('click', toggleInfoPanel);
+
+    const editBtn = document.createElement('button');
+    editBtn.id = 'dblctrl-edit';
+    editBtn.title = 'Crop & annotate (E)';
+    editBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 20h9"></path><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path></svg>';
+    editBtn.addEventListener('click', toggleEditMode);
+
+    const ocrBtn = document.createElement('button');
+    ocrBtn.id = 'dblctrl-ocr';
+    ocrBtn.title = 'Extract text (T)';
+    ocrBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 7V5a2 2 0 0 1 2-2h2"></path><path d="M17 3h2a2 2 0 0 1 2 2v2"></path><path d="M21 17v2a2 2 0 0 1-2 2h-2"></path><path d="M7 21H5a2 2 0 0 1-2-2v-2"></path><polyline points="8 9 8 8 16 8 16 9"></polyline><line x1="12" y1="8" x2="12" y2="16"></line><line x1="10" y1="16" x2="14" y2="16"></line></svg>';
+    ocrBtn.addEventListener('click', toggleTextPanel);
+
+    const pinBtn = document.createElement('button');
+    pinBtn.id = 'dblctrl-pin';
+    pinBtn.title = 'Pin for comparison (Shift+C)';
+    pinBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="2" y="4" width="8" height="16" rx="1"></rect><rect x="14" y="4" width="8" height="16" rx="1"></rect></svg>';
+    pinBtn.addEventListener('click', togglePin);
+
     const copyBtn = document.createElement('button');
     copyBtn.id = 'dblctrl-copy';
-    copyBtn.title = 'Copy image';
+    copyBtn.title = 'Copy image (C)';
     copyBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path></svg>';
     copyBtn.addEventListener('click', () => copyImageToClipboard(currentImageUrl));
 
     const saveBtn = document.createElement('button');
     saveBtn.id = 'dblctrl-save';
-    saveBtn.title = 'Save image';
+    saveBtn.title = 'Save image (S)';
     saveBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7 10 12 15 17 10"></polyline><line x1="12" y1="15" x2="12" y2="3"></line></svg>';
     saveBtn.addEventListener('click', () => saveImage(currentImageUrl));
 
+    const openBtn = document.createElement('button');
+    openBtn.id = 'dblctrl-open';
+    openBtn.title = 'Open original in new tab';
+    openBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"></path><polyline points="15 3 21 3 21 9"></polyline><line x1="10" y1="14" x2="21" y2="3"></line></svg>';
+    openBtn.addEventListener('click', openOriginal);
+
+    const searchBtn = document.createElement('button');
+    searchBtn.id = 'dblctrl-search';
+    searchBtn.title = 'Search this image';
+    searchBtn.setAttribute('aria-haspopup', 'menu');
+    searchBtn.hidden = !settings.searchProviders.length;
+    searchBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="11" cy="11" r="8"></circle><line x1="21" y1="21" x2="16.65" y2="16.65"></line></svg>';
+    searchBtn.addEventListener('click', toggleSearchMenu);
+
+    const searchMenu = document.createElement('div');
+    searchMenu.id = 'dblctrl-search-menu';
+    searchMenu.setAttribute('role', 'menu');
+    searchMenu.setAttribute('aria-label', 'Search with');
+
     const closeBtn = document.createElement('button');
     closeBtn.id = 'dblctrl-close';
     closeBtn.title = 'Close (Esc)';
     closeBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>';
     closeBtn.addEventListener('click', closeOverlay);
 
-    actions.append(copyBtn, saveBtn, closeBtn);
+    const helpBtn = document.createElement('button');
+    helpBtn.id = 'dblctrl-help';
+    helpBtn.title = 'Keyboard shortcuts (?)';
+    helpBtn.textContent = '?';
+    helpBtn.addEventListener('click', toggleHelp);
+
+    actions.append(infoBtn, editBtn, ocrBtn, pinBtn, openBtn, searchBtn, copyBtn, saveBtn, helpBtn, closeBtn);
+
+    // Shown once upgradeToOriginal has swapped in the full-resolution image
+    const upgradedBadge = document.createElement('span');
+    upgradedBadge.id = 'dblctrl-upgraded';
+    upgradedBadge.textContent = 'Original';
+    upgradedBadge.hidden = true;
 
-    toolbar.append(zoomControls, sep, actions);
-    overlay.appendChild(toolbar);
+    // Playback controls, only for animated images (see section M)
+    const animSep = document.createElement('div');
+    animSep.className = 'dblctrl-separator dblctrl-anim-only';
+
+    toolbar.append(zoomControls, viewSep, viewControls, gallerySep, galleryCounter, animSep, buildAnimationControls(), upgradedBadge, sep, actions, searchMenu);
+    overlay.append(toolbar, buildEditToolbar());
+
+    // Previous / next chevrons
+    const prevBtn = document.createElement('button');
+    prevBtn.id = 'dblctrl-prev';
+    prevBtn.className = 'dblctrl-chevron dblctrl-gallery-only';
+    prevBtn.title = 'Previous image (\u2190)';
+    prevBtn.innerHTML = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="15 18 9 12 15 6"></polyline></svg>';
+    prevBtn.addEventListener('click', () => showGalleryImage(galleryIndex - 1));
+
+    const nextBtn = document.createElement('button');
+    nextBtn.id = 'dblctrl-next';
+    nextBtn.className = 'dblctrl-chevron dblctrl-gallery-only';
+    nextBtn.title = 'Next image (\u2192)';
+    nextBtn.innerHTML = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="9 18 15 12 9 6"></polyline></svg>';
+    nextBtn.addEventListener('click', () => showGalleryImage(galleryIndex + 1));
+
+    overlay.append(prevBtn, nextBtn);
+
+    // Info side panel, filled in by renderInfoPanel
+    const infoPanel = document.createElement('div');
+    infoPanel.id = 'dblctrl-info-panel';
+    overlay.appendChild(infoPanel);
 
     // Image wrapper
     const wrapper = document.createElement('div');
@@ -359,10 +1171,10 @@
     img.id = 'dblctrl-image';
     img.src = imageUrl;
     img.draggable = false;
-    img.alt = 'Magnified image';
+    img.alt = alt;
 
-    // Pan via drag
-    img.addEventListener('mousedown', onPanStart);
+    img.addEventListener('load', onOverlayImageLoad);
+    img.addEventListener('click', onPixelClick);
 
     wrapper.appendChild(img);
 
@@ -371,103 +1183,485 @@
 
     overlay.appendChild(wrapper);
 
-    return overlay;
-  }
+    // The pinned image, beside or on top of this one (see section L)
+    const [compareWrapper, compareBar] = buildCompareDOM();
+    overlay.append(compareWrapper, compareBar);
 
-  // ── (D) Zoom / Pan Controller ─────────────────────────────────────────
+    // Pan, pinch and double-tap anywhere over the image or backdrop
+    overlay.addEventListener('pointerdown', onGesturePointerDown);
 
-  function stepZoom(direction) {
-    const currentIndex = ZOOM_LEVELS.findIndex((z) => z >= currentZoom);
-    let nextIndex;
-    if (direction > 0) {
-      nextIndex = currentIndex === -1
-        ? ZOOM_LEVELS.length - 1
-        : Math.min(currentIndex + 1, ZOOM_LEVELS.length - 1);
-    } else {
-      const idx = currentIndex <= 0 ? 1 : currentIndex;
-      nextIndex = idx - 1;
-    }
-    zoomTo(ZOOM_LEVELS[nextIndex]);
-  }
+    // Pixel grid and color loupe, drawn over the image in pixel mode
+    const grid = document.createElement('canvas');
+    grid.id = 'dblctrl-pixel-grid';
 
-  function zoomTo(newZoom) {
-    currentZoom = Math.max(0.5, Math.min(8, newZoom));
+    const loupe = document.createElement('div');
+    loupe.id = 'dblctrl-loupe';
+    loupe.hidden = true;
 
-    if (currentZoom <= 1) {
-      panX = 0;
-      panY = 0;
-    }
+    const swatch = document.createElement('span');
+    swatch.className = 'dblctrl-loupe-swatch';
+    const readout = document.createElement('span');
+    readout.className = 'dblctrl-loupe-text';
+    loupe.append(swatch, readout);
 
-    applyTransform();
-    updateZoomLabel();
-  }
+    // Crop frame and annotations, drawn over the image (see section K)
+    const editLayer = document.createElement('canvas');
+    editLayer.id = 'dblctrl-edit-layer';
+
+    // Boxes around the text "Extract text" found (see section Q)
+    const ocrLayer = document.createElement('canvas');
+    ocrLayer.id = 'dblctrl-ocr-layer';
+
+    overlay.append(grid, editLayer, ocrLayer, loupe, buildTextPanel());
+    overlay.addEventListener('mousemove', onPixelHover);
+    overlay.addEventListener('mouseleave', hideLoupe);
+
+    overlay.appendChild(buildHelpSheet());
+
+    // The search menu closes when anything else is pressed
+    overlay.addEventListener('pointerdown', (e) => {
+      if (!e.target.closest('#dblctrl-search-menu, #dblctrl-search')) closeSearchMenu();
+    });
+
+    // Icon buttons are named by their tooltips
+    for (const btn of overlay.querySelectorAll('button[title]')) {
+      btn.setAttribute('aria-label', btn.title);
+    }
+
+    return overlay;
+  }
+
+  // ── Full-resolution upgrade ──
+  // The displayed image shows immediately; resolvers.js suggests where
+  // the original might be. Candidates are tried in order in the
+  // background, and the first one that loads bigger than the preview
+  // replaces it. Copy, save and the info panel then use the original.
+
+  async function upgradeToOriginal(originals) {
+    const token = ++upgradeToken;
+    const img = overlayEl?.querySelector('#dblctrl-image');
+    if (!img) return;
+
+    const badge = overlayEl.querySelector('#dblctrl-upgraded');
+    badge.hidden = true;
+    if (!originals.length) return;
+
+    await waitForImage(img);
+    const previewWidth = img.naturalWidth;
+    const previewHeight = img.naturalHeight;
+
+    for (const url of originals) {
+      const probe = await preloadImage(url);
+      if (token !== upgradeToken || !overlayEl) return;
+      if (!probe || probe.naturalWidth * probe.naturalHeight <= previewWidth * previewHeight) continue;
+
+      currentImageUrl = url;
+      img.src = url;
+      badge.hidden = false;
+      badge.title = previewWidth
+        ? `Upgraded to the original, ${probe.naturalWidth} \u00d7 ${probe.naturalHeight} (page showed ${previewWidth} \u00d7 ${previewHeight})`
+        : `Upgraded to the original, ${probe.naturalWidth} \u00d7 ${probe.naturalHeight}`;
+      renderInfoPanel();
+      return;
+    }
+  }
+
+  function preloadImage(url) {
+    return new Promise((resolve) => {
+      const probe = new Image();
+      probe.onload = () => resolve(probe);
+      probe.onerror = () => resolve(null);
+      probe.src = url;
+    });
+  }
+
+  // ── (D) Zoom / Pan Controller ─────────────────────────────────────────
+
+  function stepZoom(direction) {
+    const levels = pixelMode
+      ? [...new Set([...settings.zoomLevels, ...PIXEL_ZOOM_LEVELS])].sort((a, b) => a - b)
+      : settings.zoomLevels;
+    const currentIndex = levels.findIndex((z) => z >= currentZoom);
+    let nextIndex;
+    if (direction > 0) {
+      nextIndex = currentIndex === -1
+        ? levels.length - 1
+        : Math.min(currentIndex + 1, levels.length - 1);
+    } else {
+      const idx = currentIndex <= 0 ? 1 : currentIndex;
+      nextIndex = Math.max(0, idx - 1);
+    }
+    zoomTo(levels[nextIndex]);
+  }
+
+  function clampZoom(zoom) {
+    // Always allow zooming out far enough to fit a rotated image
+    const minZoom = Math.min(settings.zoomLevels[0], 1, fitZoom());
+    const maxZoom = pixelMode
+      ? Math.max(settings.maxZoom, PIXEL_ZOOM_LEVELS[PIXEL_ZOOM_LEVELS.length - 1])
+      : settings.maxZoom;
+    return Math.max(minZoom, Math.min(maxZoom, zoom));
+  }
+
+  function zoomTo(newZoom) {
+    currentZoom = clampZoom(newZoom);
+
+    if (currentZoom <= 1) {
+      panX = 0;
+      panY = 0;
+    }
+
+    applyTransform();
+    updateZoomLabel();
+  }
 
   function onWheelZoom(e) {
     e.preventDefault();
 
     const delta = -e.deltaY;
     const zoomFactor = 1 + delta * 0.002;
-    const newZoom = currentZoom * zoomFactor;
+    zoomAround(currentZoom * zoomFactor, e.clientX, e.clientY);
+  }
 
-    // Zoom toward cursor position
-    const wrapper = overlayEl.querySelector('#dblctrl-image-wrapper');
-    const rect = wrapper.getBoundingClientRect();
-    const cursorX = e.clientX - rect.left - rect.width / 2;
-    const cursorY = e.clientY - rect.top - rect.height / 2;
+  // Zooms keeping the image point under (clientX, clientY) in place
+  function zoomAround(newZoom, clientX, clientY) {
+    const center = paneCenter(clientX);
+    const cursorX = clientX - center.x;
+    const cursorY = clientY - center.y;
 
-    const scaleChange = Math.max(0.5, Math.min(8, newZoom)) / currentZoom;
+    const scaleChange = clampZoom(newZoom) / currentZoom;
     panX = cursorX - scaleChange * (cursorX - panX);
     panY = cursorY - scaleChange * (cursorY - panY);
 
     zoomTo(newZoom);
   }
 
-  function onPanStart(e) {
-    if (currentZoom <= 1) return;
-    e.preventDefault();
+  // ── Pointer gestures ──
+  // One pointer pans (when zoomed in), two pinch-zoom around their
+  // centroid, a released pan keeps gliding, and a double tap or double
+  // click toggles between the fitted view and 2x. Mouse, touch and pen
+  // all go through the same Pointer Events path.
 
-    isPanning = true;
-    panStartX = e.clientX - panX;
-    panStartY = e.clientY - panY;
+  function onGesturePointerDown(e) {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    if (e.target.closest('#dblctrl-toolbar, #dblctrl-edit-toolbar, #dblctrl-compare-toolbar, #dblctrl-info-panel, #dblctrl-ocr-panel, #dblctrl-help-sheet, .dblctrl-chevron, .dblctrl-edit-text')) return;
 
-    const img = overlayEl.querySelector('#dblctrl-image');
-    img.style.cursor = 'grabbing';
-    img.classList.add('dblctrl-panning');
+    // With a crop or annotation tool picked, one pointer draws
+    if (editMode && editTool && pointers.size === 0 && e.isPrimary) {
+      startEditStroke(e);
+      return;
+    }
+
+    stopInertia();
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (pointers.size === 1) {
+      panDownX = e.clientX;
+      panDownY = e.clientY;
+      tapOnImage = e.target.id === 'dblctrl-image';
+      panMoved = false;
+      document.addEventListener('pointermove', onGesturePointerMove);
+      document.addEventListener('pointerup', onGesturePointerUp);
+      document.addEventListener('pointercancel', onGesturePointerUp);
+
+      if (currentZoom > 1) {
+        e.preventDefault();
+        startPan(e.clientX, e.clientY);
+      }
+    } else if (pointers.size === 2) {
+      panMoved = true; // a pinch is never a tap
+      startPinch();
+    }
+  }
+
+  function onGesturePointerMove(e) {
+    if (!pointers.has(e.pointerId)) return;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (Math.hypot(e.clientX - panDownX, e.clientY - panDownY) > 3) panMoved = true;
+
+    if (pinchStart) {
+      updatePinch();
+    } else if (isPanning) {
+      panX = e.clientX - panStartX;
+      panY = e.clientY - panStartY;
+      panSamples.push({ x: e.clientX, y: e.clientY, t: e.timeStamp });
+      while (panSamples.length > 2 && e.timeStamp - panSamples[0].t > 100) panSamples.shift();
+      applyTransform();
+    }
+  }
+
+  function onGesturePointerUp(e) {
+    if (!pointers.has(e.pointerId)) return;
+    pointers.delete(e.pointerId);
 
-    document.addEventListener('mousemove', onPanMove);
-    document.addEventListener('mouseup', onPanEnd);
+    if (pinchStart && pointers.size < 2) {
+      pinchStart = null;
+      zoomTo(currentZoom); // settles pan bounds and the label
+      // Carry on panning with the finger that's still down
+      const [rest] = pointers.values();
+      if (rest && currentZoom > 1) startPan(rest.x, rest.y);
+    }
+
+    if (pointers.size > 0) return;
+
+    document.removeEventListener('pointermove', onGesturePointerMove);
+    document.removeEventListener('pointerup', onGesturePointerUp);
+    document.removeEventListener('pointercancel', onGesturePointerUp);
+
+    if (isPanning) {
+      isPanning = false;
+      setPanningClass(false);
+      if (e.type === 'pointerup') startInertia(e.timeStamp);
+      applyTransform();
+    }
+
+    // document only sees the UI host as the target, so the image is
+    // remembered from pointerdown
+    if (!panMoved && e.type === 'pointerup' && tapOnImage) onImageTap(e);
   }
 
-  function onPanMove(e) {
-    if (!isPanning) return;
-    panX = e.clientX - panStartX;
-    panY = e.clientY - panStartY;
+  function startPan(x, y) {
+    isPanning = true;
+    panStartX = x - panX;
+    panStartY = y - panY;
+    panSamples = [];
+    setPanningClass(true);
     applyTransform();
   }
 
-  function onPanEnd() {
-    if (!isPanning) return;
+  function startPinch() {
+    const [a, b] = pointers.values();
     isPanning = false;
+    pinchStart = {
+      distance: Math.hypot(b.x - a.x, b.y - a.y) || 1,
+      centerX: (a.x + b.x) / 2,
+      centerY: (a.y + b.y) / 2,
+      zoom: currentZoom,
+      panX,
+      panY
+    };
+    setPanningClass(true);
+  }
 
-    if (overlayEl) {
-      const img = overlayEl.querySelector('#dblctrl-image');
-      if (img) {
-        img.style.cursor = currentZoom > 1 ? 'grab' : 'default';
-        img.classList.remove('dblctrl-panning');
+  function updatePinch() {
+    const [a, b] = pointers.values();
+    const distance = Math.hypot(b.x - a.x, b.y - a.y);
+    const centerX = (a.x + b.x) / 2;
+    const centerY = (a.y + b.y) / 2;
+
+    const zoom = clampZoom(pinchStart.zoom * distance / pinchStart.distance);
+    const k = zoom / pinchStart.zoom;
+    const { x: originX, y: originY } = paneCenter(pinchStart.centerX);
+
+    // The image point under the starting centroid follows the centroid
+    panX = centerX - originX - k * (pinchStart.centerX - originX - pinchStart.panX);
+    panY = centerY - originY - k * (pinchStart.centerY - originY - pinchStart.panY);
+    currentZoom = zoom;
+
+    applyTransform();
+    updateZoomLabel();
+  }
+
+  function onImageTap(e) {
+    const isDouble = lastTap &&
+      e.timeStamp - lastTap.t < DOUBLE_TAP_MS &&
+      Math.hypot(e.clientX - lastTap.x, e.clientY - lastTap.y) < 30;
+
+    if (!isDouble) {
+      lastTap = { x: e.clientX, y: e.clientY, t: e.timeStamp };
+      return;
+    }
+
+    lastTap = null;
+    if (currentZoom > 1.01) zoomTo(1);
+    else zoomAround(2, e.clientX, e.clientY);
+  }
+
+  function startInertia(releaseTime) {
+    const first = panSamples[0];
+    const last = panSamples[panSamples.length - 1];
+    panSamples = [];
+
+    // No fling if the pointer stopped before it was released, or for
+    // people who've asked for less motion
+    if (!first || last.t - first.t < 10 || releaseTime - last.t > 50) return;
+    if (matchMedia('(prefers-reduced-motion: reduce)').matches) return;
+
+    let vx = (last.x - first.x) / (last.t - first.t); // px per ms
+    let vy = (last.y - first.y) / (last.t - first.t);
+    let prev = performance.now();
+
+    setPanningClass(true);
+
+    const step = (now) => {
+      const dt = now - prev;
+      prev = now;
+
+      const targetX = panX + vx * dt;
+      const targetY = panY + vy * dt;
+      panX = targetX;
+      panY = targetY;
+      applyTransform();
+
+      // Stop dead against the pan bounds
+      if (panX !== targetX) vx = 0;
+      if (panY !== targetY) vy = 0;
+
+      const decay = Math.pow(0.95, dt / 16);
+      vx *= decay;
+      vy *= decay;
+
+      if (!overlayEl || Math.hypot(vx, vy) < 0.02) {
+        stopInertia();
+        return;
       }
+      inertiaFrame = requestAnimationFrame(step);
+    };
+
+    inertiaFrame = requestAnimationFrame(step);
+  }
+
+  function stopInertia() {
+    if (!inertiaFrame) return;
+    cancelAnimationFrame(inertiaFrame);
+    inertiaFrame = 0;
+    if (!isPanning && !pinchStart) setPanningClass(false);
+  }
+
+  function resetGestures() {
+    stopInertia();
+    pointers.clear();
+    pinchStart = null;
+    isPanning = false;
+    lastTap = null;
+    document.removeEventListener('pointermove', onGesturePointerMove);
+    document.removeEventListener('pointerup', onGesturePointerUp);
+    document.removeEventListener('pointercancel', onGesturePointerUp);
+  }
+
+  function setPanningClass(on) {
+    for (const img of overlayEl?.querySelectorAll('#dblctrl-image, #dblctrl-anim-frame, #dblctrl-compare-image, #dblctrl-compare-diff') || []) {
+      img.classList.toggle('dblctrl-panning', on);
     }
+  }
 
-    document.removeEventListener('mousemove', onPanMove);
-    document.removeEventListener('mouseup', onPanEnd);
+  // Keeps the image from being pushed past the viewport: a dimension
+  // larger than the screen can pan until its edge meets the screen edge,
+  // a smaller one stays centred.
+  function clampPan() {
+    const base = orientedBaseSize();
+    if (!base) return;
+
+    const maxX = Math.max(0, (base.width * currentZoom - paneWidth()) / 2);
+    const maxY = Math.max(0, (base.height * currentZoom - overlayEl.clientHeight) / 2);
+    panX = Math.max(-maxX, Math.min(maxX, panX));
+    panY = Math.max(-maxY, Math.min(maxY, panY));
   }
 
   function applyTransform() {
     if (!overlayEl) return;
+    clampPan();
     const img = overlayEl.querySelector('#dblctrl-image');
     if (img) {
-      img.style.transform = `translate(${panX}px, ${panY}px) scale(${currentZoom})`;
-      img.style.cursor = currentZoom > 1 ? 'grab' : 'default';
+      // Flips apply along the screen axes, after rotation
+      const sx = flipX ? -1 : 1;
+      const sy = flipY ? -1 : 1;
+      img.style.transform = `translate(${panX}px, ${panY}px) scale(${sx}, ${sy}) rotate(${rotation}deg) scale(${currentZoom})`;
+
+      if (animation) {
+        animation.canvas.style.transform = img.style.transform;
+        animation.canvas.style.width = img.offsetWidth + 'px';
+        animation.canvas.style.height = img.offsetHeight + 'px';
+      }
+
+      // The pinned image and the difference follow the same view
+      if (pinned) {
+        const diff = overlayEl.querySelector('#dblctrl-compare-diff');
+        overlayEl.querySelector('#dblctrl-compare-image').style.transform = img.style.transform;
+        diff.style.transform = img.style.transform;
+        diff.style.width = img.offsetWidth + 'px';
+        diff.style.height = img.offsetHeight + 'px';
+      }
+
+      img.style.cursor = isPanning ? 'grabbing'
+        : editMode && editTool ? 'crosshair'
+          : currentZoom > 1 ? 'grab' : (pixelMode ? 'crosshair' : 'default');
+    }
+    if (pixelMode) drawPixelGrid();
+    drawEditLayer();
+    drawTextLayer();
+  }
+
+  // ── Orientation & view modes ──
+
+  function resetOrientation() {
+    rotation = 0;
+    flipX = false;
+    flipY = false;
+  }
+
+  function isReoriented() {
+    return rotation % 360 !== 0 || flipX || flipY;
+  }
+
+  function isQuarterTurned() {
+    return Math.abs(rotation / 90) % 2 === 1;
+  }
+
+  function rotateBy(deg) {
+    rotation += deg;
+    // A sideways image may no longer fit at the current zoom
+    if (currentZoom <= 1) zoomTo(Math.min(1, fitZoom()));
+    else applyTransform();
+  }
+
+  function toggleFlip(axis) {
+    if (axis === 'x') flipX = !flipX;
+    else flipY = !flipY;
+    applyTransform();
+  }
+
+  // Layout size of the image at zoom 1 (CSS max-width/height applied),
+  // as it sits on screen after rotation.
+  function orientedBaseSize() {
+    const img = overlayEl?.querySelector('#dblctrl-image');
+    if (!img || !img.offsetWidth) return null;
+    return isQuarterTurned()
+      ? { width: img.offsetHeight, height: img.offsetWidth }
+      : { width: img.offsetWidth, height: img.offsetHeight };
+  }
+
+  // Zoom at which the whole image fits the same 90vw x 85vh box that
+  // content.css gives it unrotated (half the width side by side).
+  function fitZoom() {
+    const base = orientedBaseSize();
+    if (!base) return 1;
+    return Math.min(paneWidth() * 0.9 / base.width, window.innerHeight * 0.85 / base.height);
+  }
+
+  function setViewMode(mode) {
+    const img = overlayEl?.querySelector('#dblctrl-image');
+    const base = orientedBaseSize();
+    if (!base) return;
+
+    if (mode === 'fit') {
+      zoomTo(fitZoom());
+      panX = 0;
+      panY = 0;
+    } else if (mode === 'fill-width') {
+      zoomTo(paneWidth() / base.width);
+      // Start at the top edge, like reading a page
+      panX = 0;
+      panY = Math.max(0, (base.height * currentZoom - window.innerHeight) / 2);
+    } else if (mode === 'actual') {
+      // One image pixel per device pixel
+      zoomTo(img.naturalWidth / (img.offsetWidth * window.devicePixelRatio));
+      panX = 0;
+      panY = 0;
     }
+
+    applyTransform();
   }
 
   function updateZoomLabel() {
@@ -495,7 +1689,7 @@
       try {
         const response = await fetch(imageUrl);
         const blob = await response.blob();
-        const pngBlob = blob.type === 'image/png' ? blob : await blobToPng(blob);
+        const pngBlob = blob.type === 'image/png' && !isReoriented() && !hasEdits() ? blob : await encodeBlob(blob);
         await navigator.clipboard.write([
           new ClipboardItem({ 'image/png': pngBlob })
         ]);
@@ -506,8 +1700,8 @@
     }
   }
 
-  function captureOverlayImage() {
-    // Draw the overlay's <img> to a canvas to get a PNG blob.
+  function captureOverlayImage(type = 'image/png', quality) {
+    // Draw the overlay's <img> to a canvas to get an image blob.
     // This works even for blob: URLs and cross-origin images
     // because the browser has already decoded the pixels for rendering.
     return new Promise((resolve, reject) => {
@@ -517,17 +1711,16 @@
         return;
       }
 
-      const canvas = document.createElement('canvas');
-      canvas.width = imgEl.naturalWidth;
-      canvas.height = imgEl.naturalHeight;
-      const ctx = canvas.getContext('2d');
-
       try {
-        ctx.drawImage(imgEl, 0, 0);
+        // The frame showing, for animated images
+        const shown = animation?.canvas || imgEl;
+        const source = hasEdits() ? renderEdits(shown) : shown;
+        // JPEG has no alpha; transparent pixels would turn black
+        const canvas = drawOriented(source, type === 'image/jpeg' ? '#fff' : null);
         canvas.toBlob((b) => {
           if (b) resolve(b);
           else reject(new Error('toBlob failed'));
-        }, 'image/png');
+        }, type, quality);
       } catch (e) {
         // Tainted canvas (CORS) - can't read pixels
         reject(e);
@@ -535,19 +1728,19 @@
     });
   }
 
-  function blobToPng(blob) {
+  // Like captureOverlayImage, for bytes fetched separately: those decode
+  // untainted when the server allows CORS, even if the overlay's copy
+  // of the image is tainted.
+  function encodeBlob(blob, type = 'image/png', quality) {
     return new Promise((resolve, reject) => {
       const img = new Image();
       img.onload = () => {
-        const canvas = document.createElement('canvas');
-        canvas.width = img.naturalWidth;
-        canvas.height = img.naturalHeight;
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(img, 0, 0);
+        const source = hasEdits() ? renderEdits(img) : img;
+        const canvas = drawOriented(source, type === 'image/jpeg' ? '#fff' : null);
         canvas.toBlob((b) => {
           if (b) resolve(b);
           else reject(new Error('toBlob failed'));
-        }, 'image/png');
+        }, type, quality);
         URL.revokeObjectURL(img.src);
       };
       img.onerror = () => reject(new Error('Image load failed'));
@@ -555,45 +1748,140 @@
     });
   }
 
+  // Draws an image the way the overlay shows it, rotated and flipped in
+  // the same order as applyTransform.
+  function drawOriented(img, background) {
+    const w = img.naturalWidth || img.width; // <img> or canvas
+    const h = img.naturalHeight || img.height;
+    const turned = isQuarterTurned();
+
+    const canvas = document.createElement('canvas');
+    canvas.width = turned ? h : w;
+    canvas.height = turned ? w : h;
+
+    const ctx = canvas.getContext('2d');
+    if (background) {
+      ctx.fillStyle = background;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    ctx.scale(flipX ? -1 : 1, flipY ? -1 : 1);
+    ctx.rotate(rotation * Math.PI / 180);
+    ctx.drawImage(img, -w / 2, -h / 2);
+    return canvas;
+  }
+
+  const CANVAS_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+  // Saves the original bytes in their own format when they can be read,
+  // named by the template in Options with the extension taken from the
+  // magic bytes. The overlay's pixels are re-encoded instead when a
+  // conversion is set up, or to save a rotated/flipped image as shown.
   async function saveImage(imageUrl) {
     if (!imageUrl) return;
 
-    let filename = 'image.png';
-    try {
-      const urlObj = new URL(imageUrl, window.location.href);
-      const pathParts = urlObj.pathname.split('/');
-      const last = pathParts[pathParts.length - 1];
-      if (last && last.includes('.')) filename = last;
-    } catch (e) {
-      // keep default
+    // data:, the page's blob: and CORS-readable images; cross-origin
+    // ones without CORS fail here
+    const fetched = await imageBytes(imageUrl);
+    const originalMime = (fetched && (DblCtrlMetadata.sniffMime(fetched.bytes) || fetched.type?.split(';')[0])) ||
+      mimeFromUrl(imageUrl);
+
+    const format = settings.saveFormat;
+    const targetMime = format === 'original' ? originalMime : `image/${format}`;
+    const tokens = filenameTokens(imageUrl);
+    const base = formatFilename(settings.saveFilename, tokens) || 'image';
+
+    if (!isReoriented() && !hasEdits() && targetMime === originalMime) {
+      if (fetched) {
+        const blob = new Blob([fetched.bytes], { type: originalMime || 'application/octet-stream' });
+        downloadImage(await blobToDataUrl(blob), base, originalMime, tokens);
+        return;
+      }
+      if (/^https?:/.test(imageUrl)) {
+        downloadImage(imageUrl, base, originalMime, tokens);
+        return;
+      }
     }
 
-    // blob: URLs can't be downloaded by the background service worker
-    // (they belong to the page's JS context). Convert to data URL first.
-    if (imageUrl.startsWith('blob:')) {
-      try {
-        const pngBlob = await captureOverlayImage();
-        const dataUrl = await blobToDataUrl(pngBlob);
-        filename = filename.replace(/\.[^.]+$/, '.png') || 'image.png';
-        chrome.runtime.sendMessage({ action: 'download', url: dataUrl, filename });
-        showToast('Downloading\u2026');
-      } catch (e) {
+    // Canvas can encode PNG, JPEG and WebP; GIF, SVG and the rest become PNG
+    const encodeMime = CANVAS_TYPES.includes(targetMime) ? targetMime : 'image/png';
+    try {
+      const blob = fetched
+        ? await encodeBlob(new Blob([fetched.bytes], { type: originalMime || '' }), encodeMime, settings.saveQuality)
+            .catch(() => captureOverlayImage(encodeMime, settings.saveQuality))
+        : await captureOverlayImage(encodeMime, settings.saveQuality);
+      downloadImage(await blobToDataUrl(blob), base, encodeMime, tokens);
+    } catch (e) {
+      // Tainted canvas. Without rotation or edits to preserve, the file
+      // itself is still better than nothing.
+      if (!isReoriented() && !hasEdits() && /^https?:/.test(imageUrl)) {
+        downloadImage(imageUrl, base, originalMime, tokens, 'Saved as is \u2014 the server doesn\u2019t allow conversion');
+      } else {
         showToast('Cannot save \u2014 image blocked by CORS');
       }
-      return;
     }
+  }
 
-    const absoluteUrl = imageUrl.startsWith('data:')
-      ? imageUrl
-      : new URL(imageUrl, window.location.href).href;
+  // With the mime unknown (a cross-origin URL without an extension),
+  // background.js picks the extension from what the server sends.
+  function downloadImage(url, base, mime, tokens, toast = 'Downloading\u2026') {
+    const ext = DblCtrlMetadata.extensionForMime(mime);
+    const folder = settings.skipSaveAs ? formatFilename(settings.saveFolder, tokens) : '';
+    const name = ext ? `${base}.${ext}` : base;
 
     chrome.runtime.sendMessage({
       action: 'download',
-      url: absoluteUrl,
-      filename: filename
+      url,
+      filename: folder ? `${folder}/${name}` : name,
+      saveAs: !settings.skipSaveAs,
+      guessExtension: !ext
     });
+    showToast(toast);
+  }
+
+  // ── Filenames ──
+  // Shared by saveImage and "Save all images" (which adds {index}).
+
+  function filenameTokens(url) {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    return {
+      host: location.hostname || 'local',
+      title: document.title.trim() || location.hostname,
+      date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+      name: originalName(url)
+    };
+  }
+
+  // Fills in {token}s. "/" makes folders: each part is sanitized on its
+  // own and empty parts are dropped, so nothing escapes Downloads.
+  // Unknown tokens are left as typed.
+  function formatFilename(pattern, values) {
+    return pattern.split('/')
+      .map((part) => sanitizeFilename(part.replace(/\{(\w+)\}/g, (token, key) =>
+        key in values ? sanitizeFilename(values[key]) : token)))
+      .filter(Boolean)
+      .join('/');
+  }
+
+  // The last path segment without its extension; "image" for blob: and
+  // data: URLs, which have no name.
+  function originalName(url) {
+    if (!/^https?:/.test(url)) return 'image';
+    try {
+      const last = decodeURIComponent(new URL(url).pathname.split('/').pop());
+      return last.replace(/\.[a-z0-9]+$/i, '') || 'image';
+    } catch (e) {
+      return 'image';
+    }
+  }
 
-    showToast('Downloading\u2026');
+  function sanitizeFilename(name) {
+    return String(name)
+      .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '_')
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s.]+|[\s.]+$/g, '')
+      .slice(0, 100);
   }
 
   function blobToDataUrl(blob) {
@@ -607,11 +1895,29 @@
 
   // ── (F) Toast Notification ────────────────────────────────────────────
 
+  // Screen readers hear toasts through one persistent live region; a
+  // region that's inserted along with its text is often not read out.
+  function announce(msg) {
+    const root = getUiRoot();
+    let live = root.getElementById('dblctrl-live');
+    if (!live) {
+      live = document.createElement('div');
+      live.id = 'dblctrl-live';
+      live.setAttribute('role', 'status');
+      live.setAttribute('aria-live', 'polite');
+      root.appendChild(live);
+    }
+    live.textContent = '';
+    requestAnimationFrame(() => { live.textContent = msg; });
+  }
+
   function showToast(msg) {
     const toast = document.createElement('div');
     toast.className = 'dblctrl-toast';
     toast.textContent = msg;
-    document.body.appendChild(toast);
+    toast.setAttribute('aria-hidden', 'true');
+    getUiRoot().appendChild(toast);
+    announce(msg);
 
     requestAnimationFrame(() => {
       toast.classList.add('dblctrl-toast-visible');
@@ -627,4 +1933,2343 @@
     }, 2000);
   }
 
+  // ── (G) Gallery Navigation ────────────────────────────────────────────
+  // Arrow keys are swallowed by page-blocker.js before they reach us, so
+  // it forwards Left/Right, which SHORTCUTS maps to the chevrons.
+
+  function collectPageImages() {
+    // Same extraction and URL dedupe as the deep search in
+    // resolveImageFromPoint, but over the whole page in document order.
+    // Inline SVGs are mostly UI icons, so they're left out unless one is
+    // the image currently shown (see refreshGallery).
+    const images = [];
+    const seen = new Set();
+
+    for (const el of document.querySelectorAll('img, picture')) {
+      // A <picture> already resolves through its own <img>
+      if (el.tagName === 'IMG' && el.parentElement?.tagName === 'PICTURE') continue;
+
+      const url = extractUrl(el);
+      if (!url || seen.has(url)) continue;
+      seen.add(url);
+      images.push({ url, el });
+    }
+
+    return images;
+  }
+
+  function startGallery(imageUrl, sourceEl) {
+    galleryCurrent = { url: imageUrl, el: sourceEl || null };
+    galleryIndex = 0;
+    refreshGallery();
+
+    // Chat apps lazy-load media and swap placeholders for blob URLs while
+    // the overlay is open, so keep the list current.
+    galleryObserver = new MutationObserver(scheduleGalleryRefresh);
+    galleryObserver.observe(document.body, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['src', 'srcset']
+    });
+    document.addEventListener('load', scheduleGalleryRefresh, true);
+  }
+
+  function stopGallery() {
+    if (galleryObserver) galleryObserver.disconnect();
+    galleryObserver = null;
+    document.removeEventListener('load', scheduleGalleryRefresh, true);
+    clearTimeout(galleryRefreshTimer);
+    galleryImages = [];
+    galleryIndex = -1;
+    galleryCurrent = null;
+  }
+
+  function scheduleGalleryRefresh() {
+    clearTimeout(galleryRefreshTimer);
+    galleryRefreshTimer = setTimeout(refreshGallery, 250);
+  }
+
+  function refreshGallery() {
+    if (!overlayEl || !galleryCurrent) return;
+
+    const images = collectPageImages();
+    let index = images.findIndex((img) => img.url === galleryCurrent.url);
+
+    if (index === -1) {
+      // The shown image isn't part of the scan (a CSS background, an SVG,
+      // or a message the page has since virtualized away). Keep it in the
+      // list, by document position while its element is still around.
+      const el = galleryCurrent.el;
+      index = el?.isConnected
+        ? images.findIndex((img) => el.compareDocumentPosition(img.el) & Node.DOCUMENT_POSITION_FOLLOWING)
+        : Math.min(galleryIndex, images.length);
+      if (index === -1) index = images.length;
+      images.splice(index, 0, galleryCurrent);
+    }
+
+    galleryImages = images;
+    galleryIndex = index;
+    updateGalleryControls();
+  }
+
+  function showGalleryImage(index) {
+    if (!overlayEl || index < 0 || index >= galleryImages.length) return;
+
+    galleryIndex = index;
+    galleryCurrent = galleryImages[index];
+    currentImageUrl = galleryCurrent.url;
+    historyId = crypto.randomUUID();
+
+    const img = overlayEl.querySelector('#dblctrl-image');
+    stopAnimation();
+    img.src = currentImageUrl;
+    img.alt = imageAlt(galleryCurrent.el);
+    pixelContext = undefined;
+    resetOrientation();
+    resetEdits();
+    overlayEl.classList.remove('dblctrl-edit-mode');
+    updateEditTools();
+    zoomTo(1);
+
+    // Bring the source into view so pages that lazy-load by scroll
+    // position start fetching its neighbours.
+    if (galleryCurrent.el?.isConnected) {
+      galleryCurrent.el.scrollIntoView({ block: 'center', inline: 'center' });
+    }
+
+    updateGalleryControls();
+    renderInfoPanel();
+    upgradeToOriginal(DblCtrlResolvers.originalsFor(galleryCurrent.url, galleryCurrent.el));
+  }
+
+  function updateGalleryControls() {
+    if (!overlayEl) return;
+    const total = galleryImages.length;
+
+    overlayEl.classList.toggle('dblctrl-has-gallery', total > 1);
+    overlayEl.querySelector('#dblctrl-gallery-counter').textContent = `${galleryIndex + 1} / ${total}`;
+    overlayEl.querySelector('#dblctrl-prev').disabled = galleryIndex <= 0;
+    overlayEl.querySelector('#dblctrl-next').disabled = galleryIndex >= total - 1;
+  }
+
+  // ── (H) Info Panel ────────────────────────────────────────────────────
+  // Sizes, type and origin of the shown image, plus EXIF/IPTC parsed by
+  // metadata.js. The bytes are re-fetched (normally from cache); for
+  // cross-origin images without CORS that fails, and the panel shows
+  // what it can without them.
+
+  function toggleInfoPanel() {
+    if (!overlayEl) return;
+    overlayEl.classList.toggle('dblctrl-info-open');
+    renderInfoPanel();
+  }
+
+  async function renderInfoPanel() {
+    if (!overlayEl || !overlayEl.classList.contains('dblctrl-info-open')) return;
+
+    const token = ++infoRenderToken;
+    const imageUrl = currentImageUrl;
+    const sourceEl = galleryCurrent?.el || null;
+    const panel = overlayEl.querySelector('#dblctrl-info-panel');
+    const img = overlayEl.querySelector('#dblctrl-image');
+
+    panel.replaceChildren(buildInfoHeader(imageUrl), buildInfoRows([['', 'Loading\u2026']]));
+
+    const [fetched] = await Promise.all([imageBytes(imageUrl), waitForImage(img)]);
+    if (token !== infoRenderToken || !overlayEl) return;
+
+    const bytes = fetched?.bytes;
+    const mime = (bytes && DblCtrlMetadata.sniffMime(bytes)) ||
+      fetched?.type?.split(';')[0] ||
+      mimeFromUrl(imageUrl);
+    const byteSize = bytes ? bytes.length : resourceSize(imageUrl);
+
+    const rows = [
+      ['Source', describeSource(sourceEl)],
+      ...describePageVariant(sourceEl, imageUrl),
+      ['URL type', describeUrlType(imageUrl)],
+      ['Natural size', img.naturalWidth ? `${img.naturalWidth} \u00d7 ${img.naturalHeight}` : '\u2014'],
+      ['Display size', describeDisplaySize(sourceEl)],
+      ['Type', mime || 'Unknown'],
+      ['File size', byteSize ? formatBytes(byteSize) : 'Unknown']
+    ];
+
+    const sections = [buildInfoHeader(imageUrl), buildInfoRows(rows)];
+
+    const metadata = bytes ? DblCtrlMetadata.parse(bytes) : [];
+    for (const group of [...new Set(metadata.map((f) => f.group))]) {
+      const heading = document.createElement('h3');
+      heading.textContent = group;
+      const fields = metadata.filter((f) => f.group === group).map((f) => [f.label, f.value]);
+      sections.push(heading, buildInfoRows(fields));
+    }
+
+    if (!bytes && !/^(data|blob):/.test(imageUrl)) {
+      const note = document.createElement('p');
+      note.className = 'dblctrl-info-note';
+      note.textContent = 'Metadata unavailable \u2014 the server doesn\u2019t allow cross-origin reads.';
+      sections.push(note);
+    }
+
+    panel.replaceChildren(...sections);
+  }
+
+  function buildInfoHeader(imageUrl) {
+    const header = document.createElement('div');
+    header.className = 'dblctrl-info-url';
+
+    const url = document.createElement('div');
+    url.className = 'dblctrl-info-url-text';
+    url.textContent = shortUrl(imageUrl, 120);
+    url.title = imageUrl.startsWith('data:') ? '' : imageUrl;
+
+    const copyUrlBtn = document.createElement('button');
+    copyUrlBtn.textContent = 'Copy URL';
+    copyUrlBtn.addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(imageUrl);
+        showToast('URL copied');
+      } catch (e) {
+        showToast('Cannot copy URL');
+      }
+    });
+
+    header.append(url, copyUrlBtn);
+    return header;
+  }
+
+  function buildInfoRows(rows) {
+    const dl = document.createElement('dl');
+    for (const [label, value] of rows) {
+      const dt = document.createElement('dt');
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      dl.append(dt, dd);
+    }
+    return dl;
+  }
+
+  async function fetchImageBytes(url) {
+    return readImageBytes(await fetchImage(url));
+  }
+
+  function fetchImage(url) {
+    return fetch(url, { cache: 'force-cache' }).then((response) => (response.ok ? response : null), () => null);
+  }
+
+  async function readImageBytes(response) {
+    if (!response) return null;
+    try {
+      const buffer = await response.arrayBuffer();
+      return { bytes: new Uint8Array(buffer), type: response.headers.get('Content-Type') };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // The overlay's image is fetched once per URL and shared by the
+  // animation player, history, the info panel, saving and "Open original".
+  // The body is only read once one of them needs the bytes, so the
+  // animation check can rule most images out by Content-Type alone.
+  function currentImageFetch() {
+    if (imageFetch?.url !== currentImageUrl) {
+      releaseImageFetch();
+      imageFetch = { url: currentImageUrl, response: fetchImage(currentImageUrl), bytes: null };
+    }
+    return imageFetch;
+  }
+
+  function releaseImageFetch() {
+    if (imageFetch && !imageFetch.bytes) {
+      imageFetch.response.then((response) => response?.body?.cancel()).catch(() => {});
+    }
+    imageFetch = null;
+  }
+
+  // fetchImageBytes, without downloading the overlay's image again
+  function imageBytes(url) {
+    if (!url || url !== currentImageUrl) return fetchImageBytes(url);
+    const entry = currentImageFetch();
+    entry.bytes ||= entry.response.then(readImageBytes);
+    return entry.bytes;
+  }
+
+  // The Content-Type the overlay's image was served with, or null
+  async function imageType(url) {
+    if (!url || url !== currentImageUrl) return null;
+    const response = await currentImageFetch().response;
+    return response?.headers.get('Content-Type')?.split(';')[0].trim().toLowerCase() || null;
+  }
+
+  function waitForImage(img) {
+    if (img.complete) return Promise.resolve();
+    return new Promise((resolve) => {
+      img.addEventListener('load', resolve, { once: true });
+      img.addEventListener('error', resolve, { once: true });
+    });
+  }
+
+  // Resource Timing knows the size of anything the page downloaded; it
+  // reports 0 for cross-origin responses without Timing-Allow-Origin.
+  function resourceSize(url) {
+    const entry = performance.getEntriesByName(url)[0];
+    return entry?.encodedBodySize || entry?.transferSize || 0;
+  }
+
+  // Where the page's image came from, judged by what the browser loaded
+  // (currentSrc) rather than by what the overlay shows
+  function describeSource(el) {
+    if (!el) return 'Embedded frame';
+
+    const tag = el.tagName;
+    const img = pageImage(el);
+    if (img) {
+      const loaded = img.currentSrc;
+      const picture = img.parentElement?.tagName === 'PICTURE' ? img.parentElement : null;
+      const inSrcset = (owner) => srcsetUrls(owner).includes(loaded);
+
+      if (!loaded) return tag === 'SOURCE' ? '<picture> source' : '<img>';
+      if (picture && [...picture.querySelectorAll('source')].some(inSrcset)) return '<picture> source';
+      return inSrcset(img) ? '<img> srcset' : '<img>';
+    }
+    if (tag === 'svg' || el.namespaceURI === SVG_NS) return 'Inline SVG';
+    if (tag === 'VIDEO') {
+      return el.poster && DblCtrlImages.absoluteUrl(el.poster, el) === galleryCurrent?.url ? 'Video poster' : 'Video frame';
+    }
+    if (tag === 'CANVAS') return 'Canvas';
+    return 'CSS background';
+  }
+
+  // The <img> whose currentSrc tells which variant the page loaded
+  function pageImage(el) {
+    if (el.tagName === 'IMG') return el;
+    if (el.tagName === 'PICTURE') return el.querySelector('img');
+    if (el.tagName === 'SOURCE') return el.parentElement?.querySelector('img') || null;
+    return null;
+  }
+
+  function srcsetUrls(el) {
+    return (el.srcset || '').split(',')
+      .map((candidate) => candidate.trim().split(/\s+/)[0])
+      .filter(Boolean)
+      .map((url) => DblCtrlImages.absoluteUrl(url, el));
+  }
+
+  // When the overlay shows something other than what the page loaded - a
+  // larger srcset variant, or an original from resolvers.js - the page's
+  // own variant gets its rows too, with its size from Resource Timing.
+  function describePageVariant(el, imageUrl) {
+    const img = el && pageImage(el);
+    // galleryCurrent keeps the page's URL after upgradeToOriginal swaps
+    const pageUrl = img?.currentSrc || galleryCurrent?.url;
+    if (!pageUrl || pageUrl === imageUrl) return [];
+
+    const size = resourceSize(pageUrl);
+    const upgraded = galleryCurrent && imageUrl !== galleryCurrent.url;
+    return [
+      ['Page loaded', shortUrl(pageUrl, 60)],
+      ['Loaded size', img?.naturalWidth ? `${img.naturalWidth} \u00d7 ${img.naturalHeight}` : '\u2014'],
+      ['Loaded file size', size ? formatBytes(size) : 'Unknown'],
+      [upgraded ? 'Original' : 'Largest variant', shortUrl(imageUrl, 60)]
+    ];
+  }
+
+  function shortUrl(url, max) {
+    return url.startsWith('data:') && url.length > max ? url.slice(0, max) + '\u2026' : url;
+  }
+
+  function describeUrlType(url) {
+    if (url.startsWith('blob:')) return 'Blob';
+    if (url.startsWith('data:')) return 'Data URL';
+    try {
+      return new URL(url).protocol.replace(':', '').toUpperCase();
+    } catch (e) {
+      return 'Unknown';
+    }
+  }
+
+  function describeDisplaySize(el) {
+    if (!el?.isConnected) return '\u2014';
+    const rect = el.getBoundingClientRect();
+    return `${Math.round(rect.width)} \u00d7 ${Math.round(rect.height)}`;
+  }
+
+  function mimeFromUrl(url) {
+    const dataMatch = url.match(/^data:([^;,]+)/);
+    if (dataMatch) return dataMatch[1];
+
+    const ext = (url.split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i) || [])[1]?.toLowerCase();
+    const types = {
+      jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif',
+      webp: 'image/webp', avif: 'image/avif', svg: 'image/svg+xml', bmp: 'image/bmp', ico: 'image/x-icon'
+    };
+    return types[ext] || null;
+  }
+
+  function formatBytes(n) {
+    if (n < 1024) return `${n} B`;
+    if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+    return `${(n / 1024 / 1024).toFixed(2)} MB`;
+  }
+
+  // ── (I) Pixel Inspection ──────────────────────────────────────────────
+  // Sampling reads decoded pixels from our own <img> through a canvas,
+  // like captureOverlayImage, so it fails the same way on tainted images.
+
+  function togglePixelMode() {
+    if (!overlayEl) return;
+    pixelMode = !pixelMode;
+    overlayEl.classList.toggle('dblctrl-pixel-mode', pixelMode);
+
+    if (!pixelMode) {
+      hideLoupe();
+      clearPixelGrid();
+    }
+
+    // Re-clamp: leaving pixel mode lowers the zoom ceiling again
+    zoomTo(currentZoom);
+  }
+
+  function onOverlayImageLoad() {
+    pixelContext = undefined;
+    if (pixelMode) drawPixelGrid();
+    drawEditLayer();
+    if (pinned && compareMode === 'diff') renderDiff();
+    loadAnimation(currentImageUrl);
+    recordHistory();
+    resetText();
+  }
+
+  // Maps natural image pixels to viewport coordinates, mirroring
+  // applyTransform. The image's layout box is centred in its pane.
+  function imageToScreenMatrix() {
+    const img = overlayEl?.querySelector('#dblctrl-image');
+    if (!img || !img.naturalWidth || !img.offsetWidth) return null;
+
+    const layoutScale = img.offsetWidth / img.naturalWidth;
+    const center = paneCenter(Infinity);
+    return new DOMMatrix()
+      .translate(center.x + panX, center.y + panY)
+      .scale(flipX ? -1 : 1, flipY ? -1 : 1)
+      .rotate(rotation)
+      .scale(currentZoom * layoutScale)
+      .translate(-img.naturalWidth / 2, -img.naturalHeight / 2);
+  }
+
+  function clearPixelGrid() {
+    const canvas = overlayEl?.querySelector('#dblctrl-pixel-grid');
+    if (canvas) canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+  }
+
+  function drawPixelGrid() {
+    const canvas = overlayEl?.querySelector('#dblctrl-pixel-grid');
+    const img = overlayEl?.querySelector('#dblctrl-image');
+    if (!canvas || !img) return;
+
+    const width = overlayEl.clientWidth;
+    const height = overlayEl.clientHeight;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+
+    const m = imageToScreenMatrix();
+    if (!m) return;
+    const pixelSize = Math.hypot(m.a, m.b); // screen px per image px
+    if (pixelSize < PIXEL_GRID_MIN_SIZE) return;
+
+    // Only draw the lines that are on screen
+    const inv = m.inverse();
+    const corners = [[0, 0], [width, 0], [0, height], [width, height]]
+      .map(([x, y]) => inv.transformPoint(new DOMPoint(x, y)));
+    const xs = corners.map((p) => p.x);
+    const ys = corners.map((p) => p.y);
+    const u0 = Math.max(0, Math.floor(Math.min(...xs)));
+    const u1 = Math.min(img.naturalWidth, Math.ceil(Math.max(...xs)));
+    const v0 = Math.max(0, Math.floor(Math.min(...ys)));
+    const v1 = Math.min(img.naturalHeight, Math.ceil(Math.max(...ys)));
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(new DOMMatrix().scale(dpr).multiply(m));
+    ctx.lineWidth = 1 / pixelSize;
+    ctx.strokeStyle = 'rgba(128, 128, 128, 0.6)';
+    ctx.beginPath();
+    for (let u = u0; u <= u1; u++) {
+      ctx.moveTo(u, v0);
+      ctx.lineTo(u, v1);
+    }
+    for (let v = v0; v <= v1; v++) {
+      ctx.moveTo(u0, v);
+      ctx.lineTo(u1, v);
+    }
+    ctx.stroke();
+  }
+
+  function getPixelContext() {
+    if (pixelContext !== undefined) return pixelContext;
+
+    const img = overlayEl?.querySelector('#dblctrl-image');
+    if (!img || !img.naturalWidth) return null; // not loaded yet; try again later
+
+    const canvas = document.createElement('canvas');
+    canvas.width = img.naturalWidth;
+    canvas.height = img.naturalHeight;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(animation?.canvas || img, 0, 0);
+
+    try {
+      ctx.getImageData(0, 0, 1, 1);
+      pixelContext = ctx;
+    } catch (e) {
+      pixelContext = null; // Tainted canvas (CORS)
+    }
+    return pixelContext;
+  }
+
+  function onPixelHover(e) {
+    if (!pixelMode || isPanning) return;
+
+    const m = imageToScreenMatrix();
+    const img = overlayEl.querySelector('#dblctrl-image');
+    const p = m && m.inverse().transformPoint(new DOMPoint(e.clientX, e.clientY));
+    const x = p ? Math.floor(p.x) : -1;
+    const y = p ? Math.floor(p.y) : -1;
+
+    if (x < 0 || y < 0 || x >= img.naturalWidth || y >= img.naturalHeight) {
+      hideLoupe();
+      return;
+    }
+
+    const loupe = overlayEl.querySelector('#dblctrl-loupe');
+    const swatch = loupe.querySelector('.dblctrl-loupe-swatch');
+    const readout = loupe.querySelector('.dblctrl-loupe-text');
+    const ctx = getPixelContext();
+
+    if (ctx) {
+      const [r, g, b, a] = ctx.getImageData(x, y, 1, 1).data;
+      const hex = '#' + [r, g, b].map((c) => c.toString(16).padStart(2, '0')).join('');
+      hoveredColor = a === 255 ? hex : hex + a.toString(16).padStart(2, '0');
+      swatch.style.background = `rgba(${r}, ${g}, ${b}, ${a / 255})`;
+      readout.textContent = `${hex}  rgb(${r}, ${g}, ${b})  \u03b1 ${(a / 255).toFixed(2)}  (${x}, ${y})`;
+    } else {
+      hoveredColor = null;
+      swatch.style.background = 'transparent';
+      readout.textContent = `(${x}, ${y})  color unavailable \u2014 cross-origin image`;
+    }
+
+    // Follow the cursor, flipping sides near the viewport edges
+    loupe.hidden = false;
+    const offset = 18;
+    const left = e.clientX + offset + loupe.offsetWidth > overlayEl.clientWidth
+      ? e.clientX - offset - loupe.offsetWidth
+      : e.clientX + offset;
+    const top = e.clientY + offset + loupe.offsetHeight > overlayEl.clientHeight
+      ? e.clientY - offset - loupe.offsetHeight
+      : e.clientY + offset;
+    loupe.style.transform = `translate(${left}px, ${top}px)`;
+  }
+
+  function hideLoupe() {
+    const loupe = overlayEl?.querySelector('#dblctrl-loupe');
+    if (loupe) loupe.hidden = true;
+    hoveredColor = null;
+  }
+
+  async function onPixelClick() {
+    if (!pixelMode || panMoved || !hoveredColor) return;
+    try {
+      await navigator.clipboard.writeText(hoveredColor);
+      showToast('Copied ' + hoveredColor);
+    } catch (e) {
+      showToast('Cannot copy color');
+    }
+  }
+
+  // ── (J) Batch Save ────────────────────────────────────────────────────
+  // "Save all images" (context menu or toolbar popup): every image the
+  // page resolves to, found with the same extraction as the overlay, in
+  // a grid that can be filtered and picked from. The selection is saved
+  // as one ZIP built by zip.js. Unlike the overlay, the grid has inputs,
+  // so page-blocker.js leaves its key events alone.
+
+  const BATCH_TYPES = {
+    'image/jpeg': 'JPEG', 'image/png': 'PNG', 'image/gif': 'GIF',
+    'image/webp': 'WebP', 'image/avif': 'AVIF', 'image/svg+xml': 'SVG'
+  };
+
+  function openBatch() {
+    if (batchEl || !isEnabledHere()) return;
+    closeOverlay();
+
+    batchItems = collectBatchImages();
+    if (!batchItems.length) {
+      showToast('No images found on this page');
+      return;
+    }
+
+    batchEl = buildBatchDOM();
+    getUiRoot().appendChild(batchEl);
+    lockScroll();
+    updateBatch();
+
+    requestAnimationFrame(() => {
+      batchEl.classList.add('dblctrl-visible');
+      batchEl.focus({ preventScroll: true });
+    });
+  }
+
+  function closeBatch() {
+    if (!batchEl) return;
+    batchEl.remove();
+    batchEl = null;
+    batchItems = [];
+    unlockScroll();
+  }
+
+  function collectBatchImages() {
+    const images = [];
+    const seen = new Set();
+
+    scanPageImages((el, url) => {
+      const item = url ? batchItem(url) : batchSnapshotItem(el);
+      if (!item || seen.has(item.url)) return;
+      if (item.url) seen.add(item.url); // '' for snapshots, which are per element
+      images.push(item);
+    });
+
+    return images;
+  }
+
+  // Video frames and canvases aren't captured while scanning: reading
+  // them fails for cross-origin ones, and opening the grid shouldn't
+  // toast for each. The tile draws a preview, which works regardless,
+  // and readBatchImage captures only what's saved. A video with no frame
+  // yet stands for its poster, as in captureVideoFrame.
+  function batchSnapshotItem(el) {
+    if (isImageTooSmall(el)) return null;
+
+    const [width, height] = snapshotSize(el);
+    if (el.tagName === 'VIDEO' && (el.readyState < HTMLMediaElement.HAVE_CURRENT_DATA || !width)) {
+      return el.poster ? batchItem(DblCtrlImages.absoluteUrl(el.poster, el)) : null;
+    }
+    if (!width || !height) return null;
+
+    return { ...batchItem(''), type: 'PNG', el, width, height };
+  }
+
+  function batchItem(url) {
+    return {
+      url, // '' for a video frame or canvas, captured from el when saved
+      type: BATCH_TYPES[mimeFromUrl(url)] || 'Other',
+      width: 0, // natural size, known once the thumbnail loads
+      height: 0,
+      selected: true,
+      tile: null,
+      thumb: null
+    };
+  }
+
+  function snapshotSize(el) {
+    return el.tagName === 'VIDEO' ? [el.videoWidth, el.videoHeight] : [el.width, el.height];
+  }
+
+  function drawSnapshot(el, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(el, 0, 0, width, height);
+    return canvas;
+  }
+
+  function buildBatchDOM() {
+    const root = document.createElement('div');
+    root.id = 'dblctrl-batch';
+    root.tabIndex = -1;
+
+    // Keys typed into the filters are ours, not the page's
+    root.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') closeBatch();
+    });
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'dblctrl-batch-backdrop';
+    backdrop.addEventListener('click', closeBatch);
+
+    const panel = document.createElement('div');
+    panel.className = 'dblctrl-batch-panel';
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'dblctrl-batch-header';
+
+    const title = document.createElement('h2');
+    title.textContent = 'Save images';
+
+    const count = document.createElement('span');
+    count.id = 'dblctrl-batch-count';
+
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'dblctrl-batch-close';
+    closeBtn.title = 'Close (Esc)';
+    closeBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>';
+    closeBtn.addEventListener('click', closeBatch);
+
+    header.append(title, count, closeBtn);
+
+    // Filters
+    const filters = document.createElement('div');
+    filters.className = 'dblctrl-batch-filters';
+
+    const sizeInput = (id, label) => {
+      const wrap = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.id = id;
+      input.min = '0';
+      input.step = '50';
+      input.placeholder = 'any';
+      input.addEventListener('input', updateBatch);
+      wrap.append(label, input);
+      return wrap;
+    };
+
+    const typeLabel = document.createElement('label');
+    const typeSelect = document.createElement('select');
+    typeSelect.id = 'dblctrl-batch-type';
+    typeSelect.add(new Option('All types', ''));
+    for (const type of [...new Set(batchItems.map((item) => item.type))].sort()) {
+      typeSelect.add(new Option(type, type));
+    }
+    typeSelect.addEventListener('change', updateBatch);
+    typeLabel.append('Type', typeSelect);
+
+    const selectAll = document.createElement('button');
+    selectAll.textContent = 'Select all';
+    selectAll.addEventListener('click', () => setBatchSelection(true));
+
+    const selectNone = document.createElement('button');
+    selectNone.textContent = 'Select none';
+    selectNone.addEventListener('click', () => setBatchSelection(false));
+
+    filters.append(
+      sizeInput('dblctrl-batch-min-width', 'Min width'),
+      sizeInput('dblctrl-batch-min-height', 'Min height'),
+      typeLabel,
+      selectAll,
+      selectNone
+    );
+
+    // Grid
+    const grid = document.createElement('div');
+    grid.className = 'dblctrl-batch-grid';
+    for (const item of batchItems) grid.appendChild(buildBatchTile(item));
+
+    // Footer
+    const footer = document.createElement('div');
+    footer.className = 'dblctrl-batch-footer';
+
+    const status = document.createElement('span');
+    status.id = 'dblctrl-batch-status';
+
+    const downloadBtn = document.createElement('button');
+    downloadBtn.id = 'dblctrl-batch-download';
+    downloadBtn.textContent = 'Download ZIP';
+    downloadBtn.addEventListener('click', downloadBatch);
+
+    footer.append(status, downloadBtn);
+
+    panel.append(header, filters, grid, footer);
+    root.append(backdrop, panel);
+    return root;
+  }
+
+  function buildBatchTile(item) {
+    const tile = document.createElement('label');
+    tile.className = 'dblctrl-batch-tile';
+    tile.title = item.url.startsWith('data:') ? '' : item.url;
+
+    const check = document.createElement('input');
+    check.type = 'checkbox';
+    check.checked = item.selected;
+    check.addEventListener('change', () => {
+      item.selected = check.checked;
+      updateBatch();
+    });
+
+    const caption = document.createElement('span');
+    caption.className = 'dblctrl-batch-caption';
+    caption.textContent = item.type;
+
+    if (item.el) {
+      const scale = Math.min(1, 240 / Math.max(item.width, item.height));
+      const preview = drawSnapshot(item.el, Math.max(1, Math.round(item.width * scale)),
+        Math.max(1, Math.round(item.height * scale)));
+      caption.textContent = `${item.width} \u00d7 ${item.height} \u00b7 ${item.el.tagName === 'VIDEO' ? 'Video frame' : 'Canvas'}`;
+      tile.append(check, preview, caption);
+      item.tile = tile;
+      return tile;
+    }
+
+    const thumb = document.createElement('img');
+    thumb.decoding = 'async';
+    thumb.alt = '';
+    thumb.src = item.url;
+
+    thumb.addEventListener('load', () => {
+      item.width = thumb.naturalWidth;
+      item.height = thumb.naturalHeight;
+      caption.textContent = `${item.width} \u00d7 ${item.height} \u00b7 ${item.type}`;
+      updateBatch();
+    });
+    thumb.addEventListener('error', () => {
+      caption.textContent = `${item.type} \u00b7 preview failed`;
+    });
+
+    tile.append(check, thumb, caption);
+    item.tile = tile;
+    item.thumb = thumb;
+    return tile;
+  }
+
+  // Images whose size isn't known yet (still loading, or failed) stay
+  // visible rather than flickering in and out while the filters are set.
+  function batchMatches(item) {
+    const minWidth = Number(batchEl.querySelector('#dblctrl-batch-min-width').value) || 0;
+    const minHeight = Number(batchEl.querySelector('#dblctrl-batch-min-height').value) || 0;
+    const type = batchEl.querySelector('#dblctrl-batch-type').value;
+
+    if (type && item.type !== type) return false;
+    return !item.width || (item.width >= minWidth && item.height >= minHeight);
+  }
+
+  function batchSelection() {
+    return batchItems.filter((item) => item.selected && batchMatches(item));
+  }
+
+  function setBatchSelection(selected) {
+    for (const item of batchItems) {
+      if (!batchMatches(item)) continue;
+      item.selected = selected;
+      item.tile.querySelector('input').checked = selected;
+    }
+    updateBatch();
+  }
+
+  function updateBatch() {
+    if (!batchEl) return;
+
+    let shown = 0;
+    for (const item of batchItems) {
+      item.tile.hidden = !batchMatches(item);
+      if (!item.tile.hidden) shown++;
+    }
+
+    const selected = batchSelection().length;
+    batchEl.querySelector('#dblctrl-batch-count').textContent = `${selected} of ${shown} selected`;
+    batchEl.querySelector('#dblctrl-batch-download').disabled = selected === 0 || batchBusy;
+  }
+
+  function setBatchStatus(msg) {
+    batchEl?.querySelector('#dblctrl-batch-status').replaceChildren(msg);
+  }
+
+  // Reads every selected image, then hands the ZIP to the browser. Images
+  // the extension can't read (cross-origin without CORS) are downloaded
+  // one by one into a folder of the same name instead.
+  async function downloadBatch() {
+    const items = batchSelection();
+    if (!items.length || batchBusy) return;
+
+    batchBusy = true;
+    updateBatch();
+
+    const folder = sanitizeFilename(document.title.trim() || location.hostname) || 'images';
+    const digits = String(items.length).length;
+    const names = new Set();
+    const files = [];
+    const separate = [];
+    let skipped = 0;
+
+    for (const [i, item] of items.entries()) {
+      setBatchStatus(`Reading ${i + 1} of ${items.length}\u2026`);
+      const data = await readBatchImage(item);
+      if (!batchEl) break; // closed while reading
+
+      const base = formatFilename(settings.batchFilename, {
+        ...filenameTokens(item.url),
+        index: String(i + 1).padStart(digits, '0')
+      }) || `image-${i + 1}`;
+      const ext = data?.ext || DblCtrlMetadata.extensionForMime(mimeFromUrl(item.url)) || 'img';
+      const name = uniqueFilename(base, ext, names);
+
+      if (data) files.push({ name, bytes: data.bytes });
+      else if (/^https?:/.test(item.url)) separate.push({ url: item.url, name });
+      else skipped++;
+    }
+
+    batchBusy = false;
+    if (!batchEl) return;
+
+    if (files.length) {
+      // Handed over as a blob URL rather than through the download
+      // message: a large archive would exceed the extension message size.
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(DblCtrlZip.create(files));
+      link.download = `${folder}.zip`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 60000);
+    }
+
+    for (const file of separate) {
+      chrome.runtime.sendMessage({
+        action: 'download',
+        url: file.url,
+        filename: `${folder}/${file.name}`,
+        saveAs: false
+      });
+    }
+
+    const parts = [`Saved ${files.length} in ${folder}.zip`];
+    if (separate.length) parts.push(`${separate.length} the server won\u2019t share downloaded separately`);
+    if (skipped) parts.push(`${skipped} couldn\u2019t be read`);
+    setBatchStatus(parts.join(' \u00b7 '));
+    updateBatch();
+  }
+
+  async function readBatchImage(item) {
+    if (item.el) {
+      // The frame showing now, at the size it has now
+      const [width, height] = snapshotSize(item.el);
+      try {
+        const canvas = drawSnapshot(item.el, width || item.width, height || item.height);
+        const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+        return blob && { bytes: new Uint8Array(await blob.arrayBuffer()), ext: 'png' };
+      } catch (e) {
+        return null; // cross-origin
+      }
+    }
+
+    // blob: and data: images are re-encoded from the decoded thumbnail,
+    // like captureOverlayImage. SVG keeps its markup: rasterizing it
+    // would lose the vector.
+    if (item.url.startsWith('data:image/svg+xml')) {
+      const fetched = await fetchImageBytes(item.url);
+      return fetched && { bytes: fetched.bytes, ext: 'svg' };
+    }
+
+    if (/^(blob|data):/.test(item.url)) {
+      await waitForImage(item.thumb);
+      if (!item.thumb.naturalWidth) return null;
+
+      try {
+        const canvas = document.createElement('canvas');
+        canvas.width = item.thumb.naturalWidth;
+        canvas.height = item.thumb.naturalHeight;
+        canvas.getContext('2d').drawImage(item.thumb, 0, 0);
+        const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+        return blob && { bytes: new Uint8Array(await blob.arrayBuffer()), ext: 'png' };
+      } catch (e) {
+        return null; // tainted canvas
+      }
+    }
+
+    const fetched = await fetchImageBytes(item.url);
+    if (!fetched) return null;
+    const mime = DblCtrlMetadata.sniffMime(fetched.bytes) || fetched.type?.split(';')[0];
+    return { bytes: fetched.bytes, ext: DblCtrlMetadata.extensionForMime(mime) };
+  }
+
+  // Case-insensitive, since the ZIP may be unpacked on Windows or macOS
+  function uniqueFilename(base, ext, taken) {
+    let name = `${base}.${ext}`;
+    for (let n = 2; taken.has(name.toLowerCase()); n++) name = `${base} (${n}).${ext}`;
+    taken.add(name.toLowerCase());
+    return name;
+  }
+
+  // ── (K) Crop & Annotate ───────────────────────────────────────────────
+  // Edits are kept as shapes in image coordinates, normalized to 0..1 so
+  // they survive the swap to a full-resolution original. On screen they're
+  // drawn over the image the way the pixel grid is; copy and save render
+  // them into the image itself (renderEdits) before orientation.
+
+  function buildEditToolbar() {
+    const icon = (paths) => `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">${paths}</svg>`;
+
+    const bar = document.createElement('div');
+    bar.id = 'dblctrl-edit-toolbar';
+
+    const tools = [
+      ['crop', 'Crop', icon('<path d="M6.13 1L6 16a2 2 0 0 0 2 2h15"></path><path d="M1 6.13L16 6a2 2 0 0 1 2 2v15"></path>')],
+      ['arrow', 'Arrow', icon('<line x1="7" y1="17" x2="17" y2="7"></line><polyline points="7 7 17 7 17 17"></polyline>')],
+      ['rect', 'Rectangle', icon('<rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect>')],
+      ['pen', 'Freehand', icon('<path d="M17 3a2.828 2.828 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5L17 3z"></path>')],
+      ['text', 'Text', icon('<polyline points="4 7 4 4 20 4 20 7"></polyline><line x1="9" y1="20" x2="15" y2="20"></line><line x1="12" y1="4" x2="12" y2="20"></line>')],
+      ['blur', 'Pixelate', icon('<rect x="3" y="3" width="7" height="7"></rect><rect x="14" y="3" width="7" height="7"></rect><rect x="14" y="14" width="7" height="7"></rect><rect x="3" y="14" width="7" height="7"></rect>')]
+    ];
+
+    for (const [tool, title, svg] of tools) {
+      const btn = document.createElement('button');
+      btn.dataset.tool = tool;
+      btn.title = title;
+      btn.innerHTML = svg;
+      btn.addEventListener('click', () => selectEditTool(tool));
+      bar.appendChild(btn);
+    }
+
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.id = 'dblctrl-edit-color';
+    color.title = 'Color';
+    color.value = editColor;
+    color.addEventListener('input', () => { editColor = color.value; });
+
+    const sep = document.createElement('div');
+    sep.className = 'dblctrl-separator';
+
+    const actions = [
+      ['Undo', icon('<polyline points="9 14 4 9 9 4"></polyline><path d="M20 20v-7a4 4 0 0 0-4-4H4"></path>'), undoEdit],
+      ['Clear all edits', icon('<polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>'), clearEdits],
+      ['Done', icon('<polyline points="20 6 9 17 4 12"></polyline>'), toggleEditMode]
+    ];
+
+    bar.append(color, sep);
+    for (const [title, svg, onClick] of actions) {
+      const btn = document.createElement('button');
+      btn.title = title;
+      btn.innerHTML = svg;
+      btn.addEventListener('click', onClick);
+      bar.appendChild(btn);
+    }
+
+    return bar;
+  }
+
+  function resetEdits() {
+    editMode = false;
+    editTool = null;
+    edits = { crop: null, marks: [] };
+    editUndo = [];
+    editDraft = null;
+  }
+
+  function hasEdits() {
+    return !!edits.crop || edits.marks.length > 0;
+  }
+
+  function toggleEditMode() {
+    if (!overlayEl) return;
+    editMode = !editMode;
+    if (!editMode) {
+      editTool = null;
+      overlayEl.querySelector('.dblctrl-edit-text input')?.blur(); // commits it
+    }
+    overlayEl.classList.toggle('dblctrl-edit-mode', editMode);
+    updateEditTools();
+    applyTransform();
+  }
+
+  // Clicking the active tool again puts it down, so dragging pans again
+  function selectEditTool(tool) {
+    editTool = editTool === tool ? null : tool;
+    updateEditTools();
+    applyTransform();
+  }
+
+  function updateEditTools() {
+    for (const btn of overlayEl.querySelectorAll('#dblctrl-edit-toolbar [data-tool]')) {
+      btn.classList.toggle('dblctrl-active', btn.dataset.tool === editTool);
+    }
+  }
+
+  function pushUndo() {
+    editUndo.push({ crop: edits.crop, marks: edits.marks.slice() });
+  }
+
+  function undoEdit() {
+    if (!editUndo.length) return;
+    edits = editUndo.pop();
+    drawEditLayer();
+  }
+
+  function clearEdits() {
+    if (!hasEdits()) return;
+    pushUndo();
+    edits = { crop: null, marks: [] };
+    drawEditLayer();
+  }
+
+  // Viewport point -> normalized image point, kept inside the image
+  function screenToImage(x, y) {
+    const img = overlayEl?.querySelector('#dblctrl-image');
+    const m = imageToScreenMatrix();
+    if (!m) return null;
+
+    const p = m.inverse().transformPoint(new DOMPoint(x, y));
+    return {
+      x: Math.max(0, Math.min(1, p.x / img.naturalWidth)),
+      y: Math.max(0, Math.min(1, p.y / img.naturalHeight))
+    };
+  }
+
+  // Called by onGesturePointerDown while a tool is picked
+  function startEditStroke(e) {
+    const p = screenToImage(e.clientX, e.clientY);
+    if (!p) return;
+
+    e.preventDefault(); // no focus change, so the text field keeps it
+    panMoved = true; // a stroke that ends on the backdrop doesn't close
+
+    if (editTool === 'text') {
+      openTextInput(e.clientX, e.clientY, p);
+      return;
+    }
+
+    editDraft = editTool === 'pen'
+      ? { type: 'pen', color: editColor, points: [p] }
+      : { type: editTool, color: editColor, x1: p.x, y1: p.y, x2: p.x, y2: p.y };
+
+    document.addEventListener('pointermove', onEditPointerMove);
+    document.addEventListener('pointerup', onEditPointerUp);
+    document.addEventListener('pointercancel', onEditPointerUp);
+  }
+
+  function onEditPointerMove(e) {
+    const p = editDraft && screenToImage(e.clientX, e.clientY);
+    if (!p) return;
+
+    if (editDraft.type === 'pen') {
+      editDraft.points.push(p);
+    } else {
+      editDraft.x2 = p.x;
+      editDraft.y2 = p.y;
+    }
+    drawEditLayer();
+  }
+
+  function onEditPointerUp(e) {
+    document.removeEventListener('pointermove', onEditPointerMove);
+    document.removeEventListener('pointerup', onEditPointerUp);
+    document.removeEventListener('pointercancel', onEditPointerUp);
+
+    const draft = editDraft;
+    editDraft = null;
+    if (!draft || e.type === 'pointercancel') {
+      drawEditLayer();
+      return;
+    }
+
+    // A click without a drag draws nothing
+    const shape = shapeFromDraft(draft);
+    const tiny = draft.type === 'pen'
+      ? draft.points.length < 2
+      : Math.hypot(draft.x2 - draft.x1, draft.y2 - draft.y1) < 0.005;
+
+    if (!tiny) {
+      pushUndo();
+      if (shape.type === 'crop') edits.crop = shape;
+      else edits.marks.push(shape);
+    }
+    drawEditLayer();
+  }
+
+  // Rectangles are stored with a positive size, whichever way they were dragged
+  function shapeFromDraft(draft) {
+    if (draft.type === 'pen' || draft.type === 'arrow') return draft;
+    return {
+      type: draft.type,
+      color: draft.color,
+      x: Math.min(draft.x1, draft.x2),
+      y: Math.min(draft.y1, draft.y2),
+      w: Math.abs(draft.x2 - draft.x1),
+      h: Math.abs(draft.y2 - draft.y1)
+    };
+  }
+
+  // Text is typed into a field over the image. page-blocker.js lets the
+  // field have its keys (Escape empties it) while still hiding them from
+  // the page; leaving the field or pressing Enter places the text.
+  function openTextInput(clientX, clientY, p) {
+    overlayEl.querySelector('.dblctrl-edit-text input')?.blur();
+
+    const form = document.createElement('form');
+    form.className = 'dblctrl-edit-text';
+    form.style.left = `${clientX}px`;
+    form.style.top = `${clientY}px`;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = 'Text';
+    input.style.color = editColor;
+    form.appendChild(input);
+
+    // Upright as seen now, whatever the image's rotation and flips
+    const mark = { type: 'text', color: editColor, x: p.x, y: p.y, rotation, flipX, flipY };
+    const place = () => {
+      if (!form.isConnected) return;
+      form.remove();
+      mark.text = input.value.trim();
+      if (!mark.text || !overlayEl) return;
+      pushUndo();
+      edits.marks.push(mark);
+      drawEditLayer();
+    };
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      place();
+    });
+    input.addEventListener('blur', place);
+
+    overlayEl.appendChild(form);
+    requestAnimationFrame(() => input.focus({ preventScroll: true }));
+  }
+
+  // Draws marks in natural image pixels onto a context already set up
+  // for that space (the screen layer, or renderEdits' canvas).
+  function drawMarks(ctx, img, marks) {
+    const w = img.naturalWidth || img.width; // <img> or an animation frame
+    const h = img.naturalHeight || img.height;
+    const line = Math.max(2, Math.max(w, h) / 250); // scales with the image, not the screen
+
+    for (const mark of marks) {
+      ctx.save();
+      ctx.strokeStyle = mark.color;
+      ctx.fillStyle = mark.color;
+      ctx.lineWidth = line;
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+
+      if (mark.type === 'rect') {
+        ctx.strokeRect(mark.x * w, mark.y * h, mark.w * w, mark.h * h);
+      } else if (mark.type === 'blur') {
+        pixelate(ctx, img, mark.x * w, mark.y * h, mark.w * w, mark.h * h);
+      } else if (mark.type === 'arrow') {
+        const x1 = mark.x1 * w;
+        const y1 = mark.y1 * h;
+        const x2 = mark.x2 * w;
+        const y2 = mark.y2 * h;
+        const angle = Math.atan2(y2 - y1, x2 - x1);
+        const head = line * 5;
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.moveTo(x2 - head * Math.cos(angle - Math.PI / 6), y2 - head * Math.sin(angle - Math.PI / 6));
+        ctx.lineTo(x2, y2);
+        ctx.lineTo(x2 - head * Math.cos(angle + Math.PI / 6), y2 - head * Math.sin(angle + Math.PI / 6));
+        ctx.stroke();
+      } else if (mark.type === 'pen') {
+        ctx.beginPath();
+        mark.points.forEach((p, i) => (i ? ctx.lineTo(p.x * w, p.y * h) : ctx.moveTo(p.x * w, p.y * h)));
+        ctx.stroke();
+      } else if (mark.type === 'text') {
+        // Undo the view's flip and rotation (see applyTransform) around
+        // the anchor, so the text reads the way it was typed
+        ctx.translate(mark.x * w, mark.y * h);
+        ctx.rotate(-mark.rotation * Math.PI / 180);
+        ctx.scale(mark.flipX ? -1 : 1, mark.flipY ? -1 : 1);
+        ctx.font = `600 ${line * 8}px system-ui, -apple-system, sans-serif`;
+        ctx.textBaseline = 'top';
+        ctx.fillText(mark.text, 0, 0);
+      }
+
+      ctx.restore();
+    }
+  }
+
+  // Scales the region down and back up without smoothing
+  function pixelate(ctx, img, x, y, w, h) {
+    if (w < 1 || h < 1) return;
+    const block = Math.max(4, Math.max(img.naturalWidth || img.width, img.naturalHeight || img.height) / 80);
+
+    const small = document.createElement('canvas');
+    small.width = Math.max(1, Math.round(w / block));
+    small.height = Math.max(1, Math.round(h / block));
+    small.getContext('2d').drawImage(img, x, y, w, h, 0, 0, small.width, small.height);
+
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(small, x, y, w, h);
+  }
+
+  // Screen layer: marks, the shape being dragged, and a dimmed frame
+  // around the crop. Called from applyTransform, like drawPixelGrid.
+  function drawEditLayer() {
+    const canvas = overlayEl?.querySelector('#dblctrl-edit-layer');
+    const img = overlayEl?.querySelector('#dblctrl-image');
+    if (!canvas || !img) return;
+
+    // Edits stay in step with the image only without its transform
+    // transition, as in pixel mode
+    const active = editMode || hasEdits();
+    overlayEl.classList.toggle('dblctrl-edited', active);
+
+    const m = imageToScreenMatrix();
+    if (!active || !m) {
+      if (canvas.width) canvas.width = 0;
+      return;
+    }
+
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = overlayEl.clientWidth * dpr;
+    canvas.height = overlayEl.clientHeight * dpr;
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(new DOMMatrix().scale(dpr).multiply(m));
+
+    const draft = editDraft && shapeFromDraft(editDraft);
+    drawMarks(ctx, animation?.canvas || img, draft && draft.type !== 'crop' ? [...edits.marks, draft] : edits.marks);
+
+    const crop = draft?.type === 'crop' ? draft : edits.crop;
+    if (crop) {
+      const w = img.naturalWidth;
+      const h = img.naturalHeight;
+      const pixelSize = Math.hypot(m.a, m.b); // screen px per image px
+
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+      ctx.beginPath();
+      ctx.rect(0, 0, w, h);
+      ctx.rect(crop.x * w, crop.y * h, crop.w * w, crop.h * h);
+      ctx.fill('evenodd');
+
+      ctx.strokeStyle = '#fff';
+      ctx.lineWidth = 1.5 / pixelSize;
+      ctx.setLineDash([6 / pixelSize, 4 / pixelSize]);
+      ctx.strokeRect(crop.x * w, crop.y * h, crop.w * w, crop.h * h);
+    }
+  }
+
+  // The image with its marks drawn in and the crop applied, in natural
+  // pixels and orientation; drawOriented takes it from there.
+  function renderEdits(img) {
+    const w = img.naturalWidth || img.width;
+    const h = img.naturalHeight || img.height;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = w;
+    canvas.height = h;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0);
+    drawMarks(ctx, img, edits.marks);
+
+    if (!edits.crop) return canvas;
+
+    const crop = edits.crop;
+    const cropped = document.createElement('canvas');
+    cropped.width = Math.max(1, Math.round(crop.w * w));
+    cropped.height = Math.max(1, Math.round(crop.h * h));
+    cropped.getContext('2d').drawImage(canvas, -Math.round(crop.x * w), -Math.round(crop.y * h));
+    return cropped;
+  }
+
+  // ── (L) Compare ───────────────────────────────────────────────────────
+  // A pinned image stays on screen next to (or under) whatever the
+  // overlay shows next: the gallery's neighbours, or another image
+  // magnified after closing - the pin outlives the overlay. Both panes
+  // share currentZoom, panX/panY and orientation through applyTransform.
+
+  const COMPARE_MODES = [
+    ['side', 'Side by side'],
+    ['swipe', 'Swipe'],
+    ['onion', 'Onion skin'],
+    ['diff', 'Difference']
+  ];
+
+  function buildCompareDOM() {
+    const wrapper = document.createElement('div');
+    wrapper.id = 'dblctrl-compare-wrapper';
+
+    const img = document.createElement('img');
+    img.id = 'dblctrl-compare-image';
+    img.draggable = false;
+    img.alt = 'Pinned image';
+    img.addEventListener('load', () => {
+      if (compareMode === 'diff') renderDiff();
+      zoomTo(currentZoom); // the pane's layout size changed
+    });
+    img.addEventListener('wheel', onWheelZoom, { passive: false });
+
+    const diff = document.createElement('canvas');
+    diff.id = 'dblctrl-compare-diff';
+
+    wrapper.append(img, diff);
+
+    const bar = document.createElement('div');
+    bar.id = 'dblctrl-compare-toolbar';
+
+    for (const [mode, label] of COMPARE_MODES) {
+      const btn = document.createElement('button');
+      btn.dataset.mode = mode;
+      btn.textContent = label;
+      btn.addEventListener('click', () => setCompareMode(mode));
+      bar.appendChild(btn);
+    }
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.id = 'dblctrl-compare-slider';
+    slider.min = '0';
+    slider.max = '100';
+    slider.value = '50';
+    slider.addEventListener('input', updateCompareSlider);
+
+    const status = document.createElement('span');
+    status.id = 'dblctrl-compare-status';
+
+    const unpinBtn = document.createElement('button');
+    unpinBtn.textContent = 'Unpin';
+    unpinBtn.addEventListener('click', togglePin);
+
+    bar.append(slider, status, unpinBtn);
+    return [wrapper, bar];
+  }
+
+  function togglePin() {
+    if (!overlayEl) return;
+
+    if (pinned) {
+      pinned = null;
+    } else {
+      pinned = { url: currentImageUrl };
+      compareMode = 'side';
+      showToast('Pinned \u2014 now open another image to compare');
+    }
+    updateCompare();
+  }
+
+  function setCompareMode(mode) {
+    compareMode = mode;
+    updateCompare();
+  }
+
+  function updateCompare() {
+    if (!overlayEl) return;
+
+    overlayEl.classList.toggle('dblctrl-comparing', !!pinned);
+    for (const [mode] of COMPARE_MODES) {
+      overlayEl.classList.toggle(`dblctrl-compare-${mode}`, !!pinned && compareMode === mode);
+    }
+    for (const btn of overlayEl.querySelectorAll('#dblctrl-compare-toolbar [data-mode]')) {
+      btn.classList.toggle('dblctrl-active', btn.dataset.mode === compareMode);
+    }
+
+    const img = overlayEl.querySelector('#dblctrl-compare-image');
+    if (!pinned) {
+      img.removeAttribute('src');
+    } else if (img.getAttribute('src') !== pinned.url) {
+      img.src = pinned.url; // the load handler re-fits and redraws
+    }
+
+    updateCompareSlider();
+    if (pinned && compareMode === 'diff') renderDiff();
+    else overlayEl.querySelector('#dblctrl-compare-status').textContent = '';
+
+    // Side by side halves the space each image gets
+    zoomTo(currentZoom);
+  }
+
+  // Swipe reveals the pinned image up to the slider, from the left;
+  // onion skin fades it in over the current one.
+  function updateCompareSlider() {
+    const wrapper = overlayEl?.querySelector('#dblctrl-compare-wrapper');
+    if (!wrapper) return;
+
+    const value = Number(overlayEl.querySelector('#dblctrl-compare-slider').value);
+    wrapper.style.clipPath = pinned && compareMode === 'swipe' ? `inset(0 ${100 - value}% 0 0)` : '';
+    wrapper.style.opacity = pinned && compareMode === 'onion' ? value / 100 : '';
+  }
+
+  // Per-channel absolute difference, brightened so that small changes
+  // still show. Needs both images readable and the same size.
+  function renderDiff() {
+    const status = overlayEl?.querySelector('#dblctrl-compare-status');
+    const canvas = overlayEl?.querySelector('#dblctrl-compare-diff');
+    const a = overlayEl?.querySelector('#dblctrl-image');
+    const b = overlayEl?.querySelector('#dblctrl-compare-image');
+    if (!status || !a.naturalWidth || !b.naturalWidth) return;
+
+    const w = a.naturalWidth;
+    const h = a.naturalHeight;
+    if (b.naturalWidth !== w || b.naturalHeight !== h) {
+      canvas.width = 0;
+      status.textContent = `Sizes differ (${w} \u00d7 ${h} vs ${b.naturalWidth} \u00d7 ${b.naturalHeight})`;
+      return;
+    }
+
+    const read = (img) => {
+      const c = document.createElement('canvas');
+      c.width = w;
+      c.height = h;
+      const ctx = c.getContext('2d');
+      ctx.drawImage(img, 0, 0);
+      return ctx.getImageData(0, 0, w, h).data;
+    };
+
+    let pa;
+    let pb;
+    try {
+      pa = read(a);
+      pb = read(b);
+    } catch (e) {
+      canvas.width = 0;
+      status.textContent = 'Can\u2019t compare pixels \u2014 cross-origin image';
+      return;
+    }
+
+    canvas.width = w;
+    canvas.height = h;
+    const ctx = canvas.getContext('2d');
+    const out = ctx.createImageData(w, h);
+    let changed = 0;
+
+    for (let i = 0; i < pa.length; i += 4) {
+      const dr = Math.abs(pa[i] - pb[i]);
+      const dg = Math.abs(pa[i + 1] - pb[i + 1]);
+      const db = Math.abs(pa[i + 2] - pb[i + 2]);
+      const da = Math.abs(pa[i + 3] - pb[i + 3]);
+      if (dr || dg || db || da) changed++;
+      out.data[i] = Math.min(255, (dr + da) * 4);
+      out.data[i + 1] = Math.min(255, (dg + da) * 4);
+      out.data[i + 2] = Math.min(255, (db + da) * 4);
+      out.data[i + 3] = 255;
+    }
+
+    ctx.putImageData(out, 0, 0);
+    const share = (changed / (w * h) * 100).toFixed(2);
+    status.textContent = changed
+      ? `${changed.toLocaleString()} pixels differ (${share}%)`
+      : 'Identical';
+  }
+
+  // Centre of the pane at clientX, or of the current image's pane. Side
+  // by side, the pinned image takes the left half.
+  function paneCenter(clientX) {
+    const width = overlayEl.clientWidth;
+    const height = overlayEl.clientHeight;
+    if (!pinned || compareMode !== 'side') return { x: width / 2, y: height / 2 };
+    return { x: clientX < width / 2 ? width / 4 : width * 3 / 4, y: height / 2 };
+  }
+
+  function paneWidth() {
+    const width = overlayEl.clientWidth;
+    return pinned && compareMode === 'side' ? width / 2 : width;
+  }
+
+  // ── (M) Animation Playback ────────────────────────────────────────────
+  // Animated GIF, PNG, WebP and AVIF files are decoded with WebCodecs'
+  // ImageDecoder and drawn frame by frame onto a canvas laid over the
+  // <img>, which stays underneath (transparent) for layout, gestures and
+  // the info panel. Without ImageDecoder, or when the bytes can't be
+  // read, the browser keeps animating the <img> as before.
+
+  const ANIMATED_TYPES = ['image/gif', 'image/png', 'image/webp', 'image/avif'];
+  // Served as one of these, an image isn't worth reading to sniff
+  const STILL_TYPES = ['image/jpeg', 'image/svg+xml', 'image/bmp', 'image/x-icon', 'image/vnd.microsoft.icon'];
+  const ANIMATION_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+  function buildAnimationControls() {
+    const controls = document.createElement('div');
+    controls.id = 'dblctrl-anim-controls';
+    controls.className = 'dblctrl-anim-only';
+
+    const buttons = [
+      ['dblctrl-anim-prev', 'Previous frame (,)', '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="17 5 8 12 17 19 17 5"></polygon><line x1="6" y1="5" x2="6" y2="19"></line></svg>', () => stepFrame(-1)],
+      ['dblctrl-anim-play', 'Play / pause (Space)', '', togglePlayback],
+      ['dblctrl-anim-next', 'Next frame (.)', '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="7 5 16 12 7 19 7 5"></polygon><line x1="18" y1="5" x2="18" y2="19"></line></svg>', () => stepFrame(1)],
+      ['dblctrl-anim-speed', 'Playback speed', '1x', cycleSpeed],
+      ['dblctrl-anim-save', 'Save this frame', '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="3" width="18" height="18" rx="2"></rect><path d="M12 8v8"></path><polyline points="8 12 12 16 16 12"></polyline></svg>', saveFrame],
+      ['dblctrl-anim-export', 'Export all frames as PNGs', '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="2" y="6" width="14" height="14" rx="2"></rect><path d="M6 2h14a2 2 0 0 1 2 2v14"></path></svg>', exportFrames]
+    ];
+
+    for (const [id, title, icon, onClick] of buttons) {
+      const btn = document.createElement('button');
+      btn.id = id;
+      btn.title = title;
+      btn.innerHTML = icon;
+      btn.addEventListener('click', onClick);
+      controls.appendChild(btn);
+    }
+
+    const counter = document.createElement('span');
+    counter.id = 'dblctrl-anim-counter';
+    controls.insertBefore(counter, controls.querySelector('#dblctrl-anim-speed'));
+
+    return controls;
+  }
+
+  // Called on every load of the overlay's <img>: first open, gallery
+  // navigation and the full-resolution upgrade.
+  async function loadAnimation(url) {
+    stopAnimation();
+    const token = ++animationToken;
+    if (typeof ImageDecoder === 'undefined' || !url) return;
+
+    if (STILL_TYPES.includes(await imageType(url))) return;
+    const fetched = await imageBytes(url);
+    const type = fetched && DblCtrlMetadata.sniffMime(fetched.bytes);
+    if (token !== animationToken || !ANIMATED_TYPES.includes(type)) return;
+
+    let decoder;
+    try {
+      if (!(await ImageDecoder.isTypeSupported(type))) return;
+      decoder = new ImageDecoder({ data: fetched.bytes, type });
+      await decoder.completed; // frameCount is final once all data is parsed
+    } catch (e) {
+      decoder?.close();
+      return;
+    }
+
+    const track = decoder.tracks.selectedTrack;
+    if (token !== animationToken || !overlayEl || !track?.animated || track.frameCount < 2) {
+      decoder.close();
+      return;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.id = 'dblctrl-anim-frame';
+    overlayEl.querySelector('#dblctrl-image-wrapper').appendChild(canvas);
+
+    const anim = animation = {
+      decoder,
+      canvas,
+      frameCount: track.frameCount,
+      index: -1,
+      duration: 0, // of the frame showing, in ms
+      playing: true,
+      timer: 0,
+      exporting: false
+    };
+    overlayEl.classList.add('dblctrl-animated');
+
+    await showFrame(0);
+    applyTransform();
+    scheduleNextFrame(anim);
+  }
+
+  function stopAnimation() {
+    animationToken++;
+    if (!animation) return;
+
+    clearTimeout(animation.timer);
+    animation.decoder.close();
+    animation.canvas.remove();
+    animation = null;
+    pixelContext = undefined;
+    overlayEl?.classList.remove('dblctrl-animated');
+  }
+
+  async function showFrame(index) {
+    const anim = animation;
+    let result;
+    try {
+      result = await anim.decoder.decode({ frameIndex: index });
+    } catch (e) {
+      return; // closed while decoding, or a corrupt frame
+    }
+
+    const frame = result.image;
+    if (anim !== animation) {
+      frame.close();
+      return;
+    }
+
+    const { canvas } = anim;
+    if (canvas.width !== frame.displayWidth || canvas.height !== frame.displayHeight) {
+      canvas.width = frame.displayWidth;
+      canvas.height = frame.displayHeight;
+    }
+    canvas.getContext('2d').drawImage(frame, 0, 0);
+
+    // Browsers play delays of 10 ms or less at 100 ms; so do we
+    const ms = (frame.duration ?? 0) / 1000;
+    anim.duration = ms > 10 ? ms : 100;
+    anim.index = index;
+    frame.close();
+
+    pixelContext = undefined;
+    if (hasEdits()) drawEditLayer();
+    updateAnimationControls();
+  }
+
+  function scheduleNextFrame(anim) {
+    if (anim !== animation || !anim.playing) return;
+
+    anim.timer = setTimeout(async () => {
+      await showFrame((anim.index + 1) % anim.frameCount);
+      scheduleNextFrame(anim);
+    }, anim.duration / animationSpeed);
+  }
+
+  function togglePlayback() {
+    if (!animation) return;
+
+    animation.playing = !animation.playing;
+    clearTimeout(animation.timer);
+    scheduleNextFrame(animation);
+    updateAnimationControls();
+  }
+
+  // Stepping pauses, so the frame stays put for inspecting or copying
+  function stepFrame(delta) {
+    if (!animation) return;
+
+    animation.playing = false;
+    clearTimeout(animation.timer);
+    showFrame((animation.index + delta + animation.frameCount) % animation.frameCount);
+  }
+
+  function cycleSpeed() {
+    const i = ANIMATION_SPEEDS.indexOf(animationSpeed);
+    animationSpeed = ANIMATION_SPEEDS[(i + 1) % ANIMATION_SPEEDS.length];
+    updateAnimationControls();
+  }
+
+  function updateAnimationControls() {
+    if (!overlayEl || !animation) return;
+
+    const play = overlayEl.querySelector('#dblctrl-anim-play');
+    play.innerHTML = animation.playing
+      ? '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="6" y="4" width="4" height="16"></rect><rect x="14" y="4" width="4" height="16"></rect></svg>'
+      : '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="6 4 20 12 6 20 6 4"></polygon></svg>';
+    play.title = animation.playing ? 'Pause (Space)' : 'Play (Space)';
+    play.setAttribute('aria-label', play.title);
+
+    overlayEl.querySelector('#dblctrl-anim-counter').textContent = `${animation.index + 1} / ${animation.frameCount}`;
+    overlayEl.querySelector('#dblctrl-anim-speed').textContent = `${animationSpeed}x`;
+  }
+
+  function saveFrame() {
+    if (!animation) return;
+
+    const tokens = filenameTokens(currentImageUrl);
+    const base = formatFilename(settings.saveFilename, tokens) || 'image';
+    const frame = animation.index + 1;
+
+    captureOverlayImage()
+      .then(blobToDataUrl)
+      .then((dataUrl) => downloadImage(dataUrl, `${base}-frame-${frame}`, 'image/png', tokens))
+      .catch(() => showToast('Cannot save this frame'));
+  }
+
+  // Every frame as its own PNG, oriented and edited like the overlay,
+  // into a "<name>-frames" folder without a Save As dialog per file.
+  async function exportFrames() {
+    const anim = animation;
+    if (!anim || anim.exporting) return;
+    anim.exporting = true;
+
+    const tokens = filenameTokens(currentImageUrl);
+    const base = formatFilename(settings.saveFilename, tokens) || 'image';
+    const parent = settings.skipSaveAs ? formatFilename(settings.saveFolder, tokens) : '';
+    const folder = (parent ? `${parent}/` : '') + `${base}-frames`;
+    const digits = String(anim.frameCount).length;
+
+    showToast(`Exporting ${anim.frameCount} frames\u2026`);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = anim.canvas.width;
+    canvas.height = anim.canvas.height;
+    const ctx = canvas.getContext('2d');
+
+    try {
+      for (let i = 0; i < anim.frameCount; i++) {
+        const { image } = await anim.decoder.decode({ frameIndex: i });
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(image, 0, 0);
+        image.close();
+
+        const blob = await canvasToBlob(drawOriented(hasEdits() ? renderEdits(canvas) : canvas));
+        chrome.runtime.sendMessage({
+          action: 'download',
+          url: await blobToDataUrl(blob),
+          filename: `${folder}/frame-${String(i + 1).padStart(digits, '0')}.png`,
+          saveAs: false
+        });
+      }
+      showToast(`Exported ${anim.frameCount} frames`);
+    } catch (e) {
+      // The overlay closed or moved on, which closes the decoder
+      if (anim === animation) showToast('Frame export failed');
+    } finally {
+      anim.exporting = false;
+    }
+  }
+
+  function canvasToBlob(canvas, type = 'image/png', quality) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((b) => {
+        if (b) resolve(b);
+        else reject(new Error('toBlob failed'));
+      }, type, quality);
+    });
+  }
+
+  // ── (N) Hover Preview ─────────────────────────────────────────────────
+  // Optional: resting the mouse on an image for settings.hoverDelay shows
+  // a floating preview beside the cursor, in the frame the image is in.
+  // It takes no focus and no pointer events, and page-blocker.js doesn't
+  // look for it, so the page keeps its keys. Pressing the trigger key
+  // once (or the chord) opens the full overlay on the previewed image.
+  //
+  // The point is only resolved once the mouse has rested, and never
+  // within HOVER_MIN_INTERVAL of the last resolve or of a scroll, so
+  // heavy pages don't pay for elementsFromPoint on every mousemove.
+
+  const HOVER_MIN_INTERVAL = 150; // ms
+  const HOVER_MARGIN = 16; // px between cursor, preview and viewport edges
+
+  document.addEventListener('pointermove', onHoverPointerMove, true);
+  document.addEventListener('pointerdown', hideHoverPreview, true);
+  document.addEventListener('wheel', hideHoverPreview, true);
+  document.addEventListener('scroll', () => {
+    hoverScrolledAt = performance.now();
+    hideHoverPreview();
+  }, true);
+  document.addEventListener('mouseout', (e) => {
+    if (!e.relatedTarget) hideHoverPreview();
+  });
+  window.addEventListener('blur', hideHoverPreview);
+
+  function onHoverPointerMove(e) {
+    if (e.pointerType !== 'mouse' || !settings.hoverPreview) return;
+
+    if (hoverPreview) {
+      const r = hoverPreview.rect;
+      if (e.clientX >= r.left && e.clientX <= r.right && e.clientY >= r.top && e.clientY <= r.bottom) {
+        positionHoverPreview(e.clientX, e.clientY);
+        return;
+      }
+      hideHoverPreview();
+    }
+
+    clearTimeout(hoverTimer);
+    hoverTimer = setTimeout(onHoverDwell, settings.hoverDelay);
+  }
+
+  async function onHoverDwell() {
+    hoverTimer = 0;
+    if (overlayEl || batchEl || !pointerInside || !isEnabledHere()) return;
+
+    const wait = Math.max(hoverResolvedAt, hoverScrolledAt) + HOVER_MIN_INTERVAL - performance.now();
+    if (wait > 0) {
+      hoverTimer = setTimeout(onHoverDwell, wait);
+      return;
+    }
+    hoverResolvedAt = performance.now();
+
+    // Images in same-origin child frames are previewed by the frame's
+    // own content script, where the coordinates make sense
+    const hit = resolveImageFromPoint(mouseX, mouseY, document, { snapshots: false });
+    if (!hit || hit.el?.ownerDocument !== document) return;
+
+    const token = ++hoverToken;
+    const probe = await preloadImage(hit.url);
+    if (token !== hoverToken || !probe || overlayEl || batchEl) return;
+
+    const rect = hit.el.getBoundingClientRect();
+    const size = hoverPreviewSize(probe, mouseX);
+
+    // Not worth a preview when the page already shows it about this big
+    if (size.width <= rect.width * 1.2 && size.height <= rect.height * 1.2) return;
+
+    const el = document.createElement('div');
+    el.id = 'dblctrl-hover-preview';
+    probe.alt = '';
+    el.appendChild(probe);
+    getUiRoot().appendChild(el);
+
+    hoverPreview = { el, img: probe, hit, rect, frame: 0 };
+    positionHoverPreview(mouseX, mouseY);
+  }
+
+  // Fits the image into the viewport on whichever side of the cursor
+  // has more room. Never scales up.
+  function hoverPreviewSize(img, x) {
+    const vw = document.documentElement.clientWidth;
+    const vh = document.documentElement.clientHeight;
+    const room = Math.max(x, vw - x) - HOVER_MARGIN * 2;
+    const scale = Math.min(1, room / img.naturalWidth, (vh - HOVER_MARGIN * 2) / img.naturalHeight);
+    return {
+      width: Math.max(1, Math.round(img.naturalWidth * scale)),
+      height: Math.max(1, Math.round(img.naturalHeight * scale))
+    };
+  }
+
+  // Follows the cursor, once per animation frame at most
+  function positionHoverPreview(x, y) {
+    const preview = hoverPreview;
+    if (preview.frame) return;
+
+    preview.frame = requestAnimationFrame(() => {
+      preview.frame = 0;
+      if (preview !== hoverPreview) return;
+
+      const vw = document.documentElement.clientWidth;
+      const vh = document.documentElement.clientHeight;
+      const { width, height } = hoverPreviewSize(preview.img, x);
+      const left = x > vw / 2 ? x - HOVER_MARGIN - width : x + HOVER_MARGIN;
+      const top = Math.max(HOVER_MARGIN, Math.min(vh - HOVER_MARGIN - height, y - height / 2));
+
+      Object.assign(preview.el.style, {
+        left: `${left}px`,
+        top: `${top}px`,
+        width: `${width}px`,
+        height: `${height}px`
+      });
+    });
+  }
+
+  function hideHoverPreview() {
+    clearTimeout(hoverTimer);
+    hoverTimer = 0;
+    hoverToken++;
+    if (!hoverPreview) return;
+
+    cancelAnimationFrame(hoverPreview.frame);
+    hoverPreview.el.remove();
+    hoverPreview = null;
+  }
+
+  // From the trigger keydown listener (section A)
+  function promoteHoverPreview() {
+    const { hit } = hoverPreview;
+    hideHoverPreview();
+    if (hit.el.isConnected) openResolved(hit);
+  }
+
+  // ── (O) Open & Search ─────────────────────────────────────────────────
+  // Images with a web address go to the new tab by address. blob: and
+  // data: images only exist inside this page, so their pixels travel
+  // through background.js to handoff.html, which shows them or posts them
+  // to the search provider's upload form.
+
+  async function openOriginal() {
+    const url = currentImageUrl;
+    if (!url) return;
+
+    if (/^https?:/.test(url)) {
+      chrome.runtime.sendMessage({ action: 'openTab', url });
+      return;
+    }
+
+    // The original bytes if they can be read, else what the overlay shows
+    let dataUrl = url.startsWith('data:') ? url : null;
+    if (!dataUrl) {
+      const fetched = await imageBytes(url);
+      const blob = fetched
+        ? new Blob([fetched.bytes], { type: DblCtrlMetadata.sniffMime(fetched.bytes) || fetched.type || '' })
+        : await captureOverlayImage().catch(() => null);
+      dataUrl = blob && await blobToDataUrl(blob);
+    }
+    if (!dataUrl) {
+      showToast('Cannot open \u2014 the image can\u2019t be read');
+      return;
+    }
+    chrome.runtime.sendMessage({ action: 'handoff', dataUrl, title: handoffTitle() });
+  }
+
+  async function searchImage(provider) {
+    const url = currentImageUrl;
+    if (!url) return;
+
+    if (/^https?:/.test(url)) {
+      chrome.runtime.sendMessage({ action: 'openTab', url: provider.url.replaceAll('{url}', encodeURIComponent(url)) });
+      return;
+    }
+
+    if (!provider.upload) {
+      showToast(`${provider.name} can only search images that have a web address`);
+      return;
+    }
+    try {
+      const dataUrl = await blobToDataUrl(await captureOverlayImage());
+      chrome.runtime.sendMessage({
+        action: 'handoff',
+        dataUrl,
+        title: handoffTitle(),
+        upload: { url: provider.upload, field: provider.field, name: provider.name }
+      });
+    } catch (e) {
+      showToast('Cannot search \u2014 the image can\u2019t be read');
+    }
+  }
+
+  function handoffTitle() {
+    const alt = overlayEl?.querySelector('#dblctrl-image').alt;
+    return alt && alt !== 'Magnified image' ? alt : document.title;
+  }
+
+  // One provider is searched straight away; more get a menu
+  function toggleSearchMenu() {
+    if (!overlayEl) return;
+    if (overlayEl.classList.contains('dblctrl-search-open')) {
+      closeSearchMenu();
+      return;
+    }
+
+    const providers = settings.searchProviders.map(DblCtrlSettings.parseProvider).filter(Boolean);
+    if (providers.length <= 1) {
+      if (providers.length) searchImage(providers[0]);
+      return;
+    }
+
+    const menu = overlayEl.querySelector('#dblctrl-search-menu');
+    menu.replaceChildren(...providers.map((provider) => {
+      const item = document.createElement('button');
+      item.setAttribute('role', 'menuitem');
+      item.textContent = provider.name;
+      item.addEventListener('click', () => {
+        closeSearchMenu();
+        searchImage(provider);
+      });
+      return item;
+    }));
+
+    overlayEl.classList.add('dblctrl-search-open');
+    overlayEl.querySelector('#dblctrl-search').setAttribute('aria-expanded', 'true');
+    menu.firstChild.focus();
+  }
+
+  function closeSearchMenu() {
+    if (!overlayEl?.classList.contains('dblctrl-search-open')) return;
+    overlayEl.classList.remove('dblctrl-search-open');
+    overlayEl.querySelector('#dblctrl-search').setAttribute('aria-expanded', 'false');
+  }
+
+  // ── (P) History ───────────────────────────────────────────────────────
+  // With history on in Options, every image the overlay shows is handed to
+  // background.js, which keeps it in the extension's IndexedDB (see
+  // history.js) for the popup to bring back after the page has revoked or
+  // dropped it. An upgrade to the original loads under the same entry id,
+  // so it replaces the thumbnail it started from.
+
+  const HISTORY_THUMBNAIL_SIZE = 160; // px, longer side
+
+  async function recordHistory() {
+    const id = historyId;
+    const url = currentImageUrl;
+    const img = overlayEl?.querySelector('#dblctrl-image');
+    if (!id || !img || chrome.extension.inIncognitoContext) return;
+    if (!DblCtrlSettings.isHistoryKept(settings, location.href)) return;
+
+    // The original bytes where they can be read, else what the overlay shows
+    const fetched = await imageBytes(url);
+    const full = fetched
+      ? new Blob([fetched.bytes], { type: DblCtrlMetadata.sniffMime(fetched.bytes) || fetched.type || '' })
+      : await captureOverlayImage().catch(() => null);
+    const webUrl = /^https?:/.test(url) ? url : null;
+    if (id !== historyId || (!full && !webUrl)) return; // moved on, or nothing to recall it by
+
+    chrome.runtime.sendMessage({
+      action: 'recordHistory',
+      entry: {
+        id,
+        time: Date.now(),
+        url: webUrl,
+        pageUrl: location.href,
+        pageTitle: document.title,
+        width: img.naturalWidth,
+        height: img.naturalHeight,
+        full: full && await blobToDataUrl(full),
+        thumbnail: historyThumbnail(img)
+      }
+    });
+  }
+
+  function historyThumbnail(img) {
+    const scale = Math.min(1, HISTORY_THUMBNAIL_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+    try {
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      return canvas.toDataURL('image/webp', 0.8);
+    } catch (e) {
+      return null; // tainted
+    }
+  }
+
+  // ── (Q) Text Extraction ───────────────────────────────────────────────
+  // Reads the text in what copy would put on the clipboard: the crop,
+  // rotated and flipped as shown. The bundled Tesseract build does it
+  // offline in an offscreen document (ocr.js); where the browser has a
+  // working TextDetector (Shape Detection API, mostly behind a flag) that
+  // goes first, as it's much faster. Found text is kept in image pixels,
+  // one box per word (per line from TextDetector), so the boxes follow
+  // zoom and pan like the edit layer.
+
+  const TEXT_DETECTION = typeof TextDetector === 'function';
+
+  function buildTextPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'dblctrl-ocr-panel';
+    panel.setAttribute('role', 'region');
+    panel.setAttribute('aria-label', 'Extracted text');
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Text';
+
+    const status = document.createElement('p');
+    status.className = 'dblctrl-ocr-status';
+
+    const text = document.createElement('pre');
+    text.className = 'dblctrl-ocr-text';
+
+    const copy = document.createElement('button');
+    copy.textContent = 'Copy text';
+    copy.hidden = true;
+    copy.addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(text.textContent);
+        showToast('Text copied');
+      } catch (e) {
+        showToast('Cannot copy text');
+      }
+    });
+
+    panel.append(heading, status, text, copy);
+    return panel;
+  }
+
+  function toggleTextPanel() {
+    if (!overlayEl) return;
+    if (overlayEl.classList.toggle('dblctrl-ocr-open')) extractText();
+    else ocrToken++;
+    drawTextLayer();
+  }
+
+  async function extractText() {
+    const token = ++ocrToken;
+    ocrLines = null;
+    renderTextPanel('Reading text\u2026');
+
+    let capture;
+    try {
+      capture = await captureOverlayImage();
+    } catch (e) {
+      if (token === ocrToken) renderTextPanel('Cannot read the text \u2014 image blocked by CORS');
+      return;
+    }
+
+    let lines;
+    try {
+      const bitmap = await createImageBitmap(capture);
+      const toImage = captureToImageMatrix(bitmap.width, bitmap.height);
+      const corners = (points) => points.map((p) => toImage.transformPoint(new DOMPoint(p.x, p.y)));
+
+      // TextDetector may exist and still fail (no backend on this platform)
+      const detected = TEXT_DETECTION ? await detectText(bitmap).catch(() => null) : null;
+      lines = (detected || await recognizeText(capture)).map((line) => ({
+        text: line.text,
+        boxes: line.boxes.map(corners)
+      }));
+    } catch (e) {
+      if (token === ocrToken) renderTextPanel('Cannot read the text');
+      return;
+    }
+    if (token !== ocrToken || !overlayEl) return;
+
+    // Reading order: top to bottom, then left to right on the same line
+    const top = (line) => Math.min(...line.boxes.flat().map((p) => p.y));
+    const left = (line) => Math.min(...line.boxes.flat().map((p) => p.x));
+    lines.sort((a, b) => (Math.abs(top(a) - top(b)) < 8 ? left(a) - left(b) : top(a) - top(b)));
+
+    ocrLines = lines;
+    renderTextPanel(lines.length ? '' : 'No text found');
+    drawTextLayer();
+  }
+
+  // Both return [{ text, boxes: [[corner, ...]] }] in capture pixels
+
+  async function detectText(bitmap) {
+    const blocks = await new TextDetector().detect(bitmap);
+    return blocks
+      .filter((block) => block.rawValue?.trim())
+      .map((block) => ({ text: block.rawValue.trim(), boxes: [block.cornerPoints] }));
+  }
+
+  async function recognizeText(capture) {
+    const response = await chrome.runtime.sendMessage({
+      action: 'recognizeText',
+      image: await blobToDataUrl(capture)
+    });
+    if (!response?.lines) throw new Error(response?.error || 'No response');
+
+    return response.lines.map((line) => ({
+      text: line.text,
+      boxes: line.words.map(({ x0, y0, x1, y1 }) => [
+        { x: x0, y: y0 }, { x: x1, y: y0 }, { x: x1, y: y1 }, { x: x0, y: y1 }
+      ])
+    }));
+  }
+
+  function renderTextPanel(status) {
+    const panel = overlayEl?.querySelector('#dblctrl-ocr-panel');
+    if (!panel) return;
+    panel.querySelector('.dblctrl-ocr-status').textContent = status;
+    panel.querySelector('.dblctrl-ocr-text').textContent = (ocrLines || []).map((line) => line.text).join('\n');
+    panel.querySelector('button').hidden = !ocrLines?.length;
+  }
+
+  // Capture pixels -> image pixels: undoes drawOriented, then the crop
+  // renderEdits made
+  function captureToImageMatrix(captureWidth, captureHeight) {
+    const img = overlayEl.querySelector('#dblctrl-image');
+    const crop = edits.crop || { x: 0, y: 0, w: 1, h: 1 };
+    const w = Math.max(1, Math.round(crop.w * img.naturalWidth));
+    const h = Math.max(1, Math.round(crop.h * img.naturalHeight));
+
+    const oriented = new DOMMatrix()
+      .translate(captureWidth / 2, captureHeight / 2)
+      .scale(flipX ? -1 : 1, flipY ? -1 : 1)
+      .rotate(rotation)
+      .translate(-w / 2, -h / 2);
+    return new DOMMatrix()
+      .translate(Math.round(crop.x * img.naturalWidth), Math.round(crop.y * img.naturalHeight))
+      .multiply(oriented.inverse());
+  }
+
+  // Called from applyTransform, like drawEditLayer
+  function drawTextLayer() {
+    const canvas = overlayEl?.querySelector('#dblctrl-ocr-layer');
+    if (!canvas) return;
+
+    const m = imageToScreenMatrix();
+    if (!overlayEl.classList.contains('dblctrl-ocr-open') || !ocrLines?.length || !m) {
+      if (canvas.width) canvas.width = 0;
+      return;
+    }
+
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = overlayEl.clientWidth * dpr;
+    canvas.height = overlayEl.clientHeight * dpr;
+
+    const ctx = canvas.getContext('2d');
+    ctx.scale(dpr, dpr);
+    ctx.fillStyle = 'rgba(26, 115, 232, 0.15)';
+    ctx.strokeStyle = 'rgba(26, 115, 232, 0.9)';
+    ctx.lineWidth = 1.5;
+
+    for (const box of ocrLines.flatMap((line) => line.boxes)) {
+      ctx.beginPath();
+      for (const corner of box) {
+        const p = m.transformPoint(corner);
+        ctx.lineTo(p.x, p.y);
+      }
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+    }
+  }
+
+  // A new image: the text found belongs to the old one
+  function resetText() {
+    if (!ocrLines && !overlayEl?.classList.contains('dblctrl-ocr-open')) return;
+    ocrLines = null;
+    if (overlayEl?.classList.contains('dblctrl-ocr-open')) extractText();
+    else drawTextLayer();
+  }
+
+  // ── (R) Pick Mode ─────────────────────────────────────────────────────
+  // The trigger with nothing under the mouse and nothing focused: the
+  // images in view get a highlight that Tab and the arrow keys move, and
+  // Enter opens. Top frame only, like the overlay, but it finds what the
+  // pointer would: backgrounds, videos and canvases, and images in open
+  // shadow roots and same-origin frames.
+
+  const PICK_KEYS = ['Tab', 'Enter', ' ', 'ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown'];
+
+  function startPick() {
+    if (overlayEl || batchEl || picker || !isEnabledHere()) return;
+
+    const images = [];
+    const seen = new Set();
+    scanPageImages((el, url) => {
+      if (url && seen.has(url)) return;
+      const rect = viewportRect(el);
+      if (rect.width < settings.minImageSize || rect.height < settings.minImageSize ||
+          rect.bottom <= 0 || rect.right <= 0 || rect.top >= innerHeight || rect.left >= innerWidth) return;
+      if (url) seen.add(url);
+      images.push({ url, el });
+    });
+    if (!images.length) {
+      showToast('No image found here');
+      return;
+    }
+
+    const highlight = document.createElement('div');
+    highlight.id = 'dblctrl-pick';
+
+    const hint = document.createElement('div');
+    hint.id = 'dblctrl-pick-hint';
+    hint.setAttribute('role', 'status');
+
+    getUiRoot().append(highlight, hint);
+    picker = { images, index: 0, highlight, hint };
+    updateKeyPolicy();
+    showPick(0);
+
+    document.addEventListener('scroll', positionPick, { capture: true, passive: true });
+    window.addEventListener('resize', positionPick);
+    document.addEventListener('pointerdown', cancelPick, true);
+  }
+
+  // Leaves the key policy alone when the overlay is about to take over
+  function stopPick(drain = true) {
+    if (!picker) return;
+
+    picker.highlight.remove();
+    picker.hint.remove();
+    picker = null;
+    if (drain) drainKeys();
+
+    document.removeEventListener('scroll', positionPick, { capture: true });
+    window.removeEventListener('resize', positionPick);
+    document.removeEventListener('pointerdown', cancelPick, true);
+  }
+
+  function cancelPick() {
+    stopPick();
+  }
+
+  function onPickKey(key, shift) {
+    if (key === 'Escape') {
+      stopPick();
+    } else if (key === 'Enter' || key === ' ') {
+      const { url, el } = picker.images[picker.index];
+      stopPick(false);
+      // Videos and canvases are captured now, as the pointer trigger would
+      const hit = el.isConnected && (url ? { url, el } : resolveImageFromElement(el));
+      if (hit) openResolved(hit);
+      else drainKeys();
+    } else {
+      const back = key === 'ArrowLeft' || key === 'ArrowUp' || (key === 'Tab' && shift);
+      showPick(picker.index + (back ? -1 : 1));
+    }
+  }
+
+  function showPick(index) {
+    const count = picker.images.length;
+    picker.index = (index + count) % count;
+
+    const { el } = picker.images[picker.index];
+    el.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    positionPick();
+
+    picker.hint.textContent = `${imageAlt(el)} \u2014 ${picker.index + 1} of ${count}. ` +
+      'Tab or arrow keys to choose, Enter to magnify, Esc to cancel';
+  }
+
+  function positionPick() {
+    if (!picker) return;
+    const rect = viewportRect(picker.images[picker.index].el);
+    Object.assign(picker.highlight.style, {
+      left: `${rect.left}px`,
+      top: `${rect.top}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+  }
+
 })();
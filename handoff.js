@@ -0,0 +1,61 @@
+// Opened by background.js for blob: and data: images, which can't be
+// passed to a new tab by address: either shows the image, or uploads it
+// to a search provider by submitting its form, the way the provider's own
+// upload button would.
+
+(function () {
+  'use strict';
+
+  const $ = (id) => document.getElementById(id);
+
+  function show(handoff) {
+    document.title = handoff.title || 'Image';
+    $('image').src = handoff.dataUrl;
+    $('image').alt = handoff.title || '';
+    $('image').hidden = false;
+  }
+
+  async function upload(handoff) {
+    const { url, field, name } = handoff.upload;
+    $('status').textContent = `Uploading to ${name}…`;
+
+    const blob = await (await fetch(handoff.dataUrl)).blob();
+    const ext = blob.type.split('/')[1] || 'png';
+    const files = new DataTransfer();
+    files.items.add(new File([blob], `image.${ext}`, { type: blob.type }));
+
+    const form = document.createElement('form');
+    form.method = 'POST';
+    form.enctype = 'multipart/form-data';
+    form.action = url;
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.name = field;
+    input.files = files.files;
+
+    form.appendChild(input);
+    form.hidden = true;
+    document.body.appendChild(form);
+    form.submit();
+  }
+
+  // ── Init ──
+
+  const id = location.hash.slice(1);
+  chrome.runtime.sendMessage({ action: 'takeHandoff', id }, (handoff) => {
+    if (!handoff) {
+      // Reloaded, or restored with the session: the image is gone
+      $('status').textContent = 'This image is no longer available.';
+      return;
+    }
+
+    if (!handoff.upload) {
+      show(handoff);
+      return;
+    }
+    upload(handoff).catch(() => {
+      $('status').textContent = `Couldn’t upload the image to ${handoff.upload.name}.`;
+    });
+  });
+})();
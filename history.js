@@ -0,0 +1,78 @@
+// Image history, kept in the extension's own IndexedDB: background.js
+// writes it (content scripts would get the page's IndexedDB instead), the
+// popup and the options page read and clear it. An entry:
+//
+//   { id, time, url, pageUrl, pageTitle, width, height, full, thumbnail, size }
+//
+// full and thumbnail are Blobs, or null when the page didn't let the image
+// be read; url is only set for images with a web address. size is what
+// the entry counts against the cap, in bytes.
+
+(function () {
+  'use strict';
+
+  const DB_NAME = 'dblctrl-history';
+  const STORE = 'images';
+
+  let dbPromise = null;
+
+  function openDb() {
+    dbPromise ||= new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(STORE, { keyPath: 'id' }).createIndex('time', 'time');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        dbPromise = null;
+        reject(req.error);
+      };
+    });
+    return dbPromise;
+  }
+
+  // Runs fn(store) in one transaction; resolves with the result of the
+  // request fn returns, once the transaction has committed.
+  async function run(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // An entry with an id that's already there replaces it
+  function put(entry) {
+    const size = (entry.full?.size || 0) + (entry.thumbnail?.size || 0);
+    return run('readwrite', (store) => store.put({ ...entry, size }));
+  }
+
+  // Newest first
+  async function list() {
+    const entries = await run('readonly', (store) => store.index('time').getAll());
+    return entries.reverse();
+  }
+
+  function clear() {
+    return run('readwrite', (store) => store.clear());
+  }
+
+  // Deletes the oldest entries until the rest fit in maxBytes
+  function trim(maxBytes) {
+    return run('readwrite', (store) => {
+      let total = 0;
+      const req = store.index('time').openCursor(null, 'prev');
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        total += cursor.value.size || 0;
+        if (total > maxBytes) cursor.delete();
+        cursor.continue();
+      };
+    });
+  }
+
+  self.DblCtrlHistory = { put, list, clear, trim };
+})();
@@ -0,0 +1,140 @@
+// The pure parts of finding an image: reading URLs off elements and
+// ranking candidates. Loaded as a content script before content.js, which
+// adds what needs the live page (elementsFromPoint, frames, shadow roots,
+// video and canvas snapshots). Nothing here touches more than the
+// elements it's given, so tests/unit runs it under a DOM shim.
+
+(function () {
+  'use strict';
+
+  function isTooSmall(el, minSize) {
+    const rect = el.getBoundingClientRect();
+    return rect.width < minSize || rect.height < minSize;
+  }
+
+  // The highest-density or widest candidate of a srcset
+  function parseSrcset(srcset) {
+    if (!srcset) return null;
+
+    const candidates = srcset.split(',').map((s) => {
+      const parts = s.trim().split(/\s+/);
+      const url = parts[0];
+      const descriptor = parts[1] || '1x';
+      const value = parseFloat(descriptor);
+      return { url, value: isNaN(value) ? 1 : value };
+    });
+
+    candidates.sort((a, b) => b.value - a.value);
+    return candidates[0]?.url || null;
+  }
+
+  // Image types the browser decodes. A <source> offering another one
+  // (JPEG XL, say) is passed over, as the browser itself does.
+  const DECODABLE_TYPES = new Set([
+    'image/apng', 'image/avif', 'image/bmp', 'image/gif', 'image/jpeg', 'image/png',
+    'image/svg+xml', 'image/vnd.microsoft.icon', 'image/webp', 'image/x-icon'
+  ]);
+
+  function isSourceUsable(source) {
+    if (source.media && !matchMedia(source.media).matches) return false;
+    return !source.type || DECODABLE_TYPES.has(source.type.split(';')[0].trim().toLowerCase());
+  }
+
+  // The first <source> the browser could use wins, as in its own pick:
+  // its media query matches (so not another layout's crop) and its type
+  // decodes. Then the <img>, unless it's too small to be worth magnifying.
+  function bestSrcFromPicture(picture, minSize) {
+    const sources = picture.querySelectorAll('source');
+    for (const source of sources) {
+      if (!isSourceUsable(source)) continue;
+      const url = parseSrcset(source.srcset) || source.src;
+      if (url) return url;
+    }
+    const img = picture.querySelector('img');
+    if (img) {
+      if (isTooSmall(img, minSize)) return null;
+      return parseSrcset(img.srcset) || img.src || img.dataset.src;
+    }
+    return null;
+  }
+
+  function extractBgUrl(el, minSize) {
+    const bg = getComputedStyle(el).backgroundImage;
+    if (!bg || bg === 'none') return null;
+
+    const match = bg.match(/url\(["']?(.+?)["']?\)/);
+    if (!match) return null;
+
+    if (isTooSmall(el, minSize)) return null;
+
+    return match[1];
+  }
+
+  // srcset and data-* values may be relative to the element's own
+  // document, which for a frame isn't the top one showing the overlay.
+  function absoluteUrl(url, el) {
+    if (/^(data|blob):/.test(url)) return url;
+    try {
+      return new URL(url, el.ownerDocument.baseURI).href;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  // ── Ranking ──
+  // For images found inside the element stack rather than on it: several
+  // often sit at the same spot (a blurred data: preview under the
+  // full-resolution blob:), and the best of them wins.
+
+  function scoreCandidate(url, el) {
+    const rect = el.getBoundingClientRect();
+    const area = rect.width * rect.height;
+    const naturalArea = (el.naturalWidth || 0) * (el.naturalHeight || 0);
+
+    // Score: prefer blob URLs (full-res) > http > data (previews)
+    // Also factor in display size and natural size
+    let score = 0;
+
+    // URL type scoring - blob URLs are almost always the full-res image
+    if (url.startsWith('blob:')) score += 10000;
+    else if (url.startsWith('http')) score += 5000;
+    else if (url.startsWith('data:')) score += 1000;
+
+    // Natural image dimensions (if available) - bigger = better
+    score += Math.min(naturalArea / 100, 5000);
+
+    // Display area - bigger displayed images are more likely the target
+    score += Math.min(area / 10, 3000);
+
+    return score;
+  }
+
+  // The highest-scoring { score } candidate, or null
+  function bestCandidate(candidates) {
+    if (candidates.length === 0) return null;
+    return [...candidates].sort((a, b) => b.score - a.score)[0];
+  }
+
+  // Searching <html> already covers everything inside it, so only the
+  // outermost elements of a stack need walking (shadow trees stay separate).
+  function outermostElements(elements) {
+    return elements.filter((el) => !elements.some((other) => other !== el && other.contains(el)));
+  }
+
+  function containsPoint(el, x, y) {
+    const rect = el.getBoundingClientRect();
+    return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+  }
+
+  self.DblCtrlImages = {
+    isTooSmall,
+    parseSrcset,
+    bestSrcFromPicture,
+    extractBgUrl,
+    absoluteUrl,
+    scoreCandidate,
+    bestCandidate,
+    outermostElements,
+    containsPoint
+  };
+})();
@@ -0,0 +1,327 @@
+// Image byte inspection for the overlay's info panel and for saving: MIME
+// sniffing from magic bytes, file extensions, plus EXIF, IPTC and text
+// metadata from JPEG, PNG and WebP. Loaded as a content script before
+// content.js, and by background.js. Everything here is synchronous and
+// works on a Uint8Array; fetching the bytes is up to the caller.
+
+(function () {
+  'use strict';
+
+  // ── MIME sniffing ──
+
+  function startsWith(bytes, signature, offset = 0) {
+    if (bytes.length < offset + signature.length) return false;
+    return signature.every((b, i) => b === null || bytes[offset + i] === b);
+  }
+
+  function ascii(bytes, start, end) {
+    let s = '';
+    for (let i = start; i < end && i < bytes.length; i++) s += String.fromCharCode(bytes[i]);
+    return s;
+  }
+
+  function sniffMime(bytes) {
+    if (startsWith(bytes, [0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+    if (startsWith(bytes, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png';
+    if (ascii(bytes, 0, 4) === 'GIF8') return 'image/gif';
+    if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 12) === 'WEBP') return 'image/webp';
+    if (ascii(bytes, 4, 8) === 'ftyp') {
+      const brand = ascii(bytes, 8, 12);
+      if (brand === 'avif' || brand === 'avis') return 'image/avif';
+      if (brand === 'heic' || brand === 'heix' || brand === 'mif1') return 'image/heic';
+    }
+    if (ascii(bytes, 0, 2) === 'BM') return 'image/bmp';
+    if (startsWith(bytes, [0x00, 0x00, 0x01, 0x00])) return 'image/x-icon';
+    if (startsWith(bytes, [0x49, 0x49, 0x2A, 0x00]) || startsWith(bytes, [0x4D, 0x4D, 0x00, 0x2A])) return 'image/tiff';
+
+    const head = ascii(bytes, 0, 256).trimStart().toLowerCase();
+    if (head.startsWith('<svg') || (head.startsWith('<?xml') && head.includes('<svg'))) return 'image/svg+xml';
+
+    return null;
+  }
+
+  const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/avif': 'avif',
+    'image/heic': 'heic',
+    'image/bmp': 'bmp',
+    'image/x-icon': 'ico',
+    'image/vnd.microsoft.icon': 'ico',
+    'image/tiff': 'tif',
+    'image/svg+xml': 'svg'
+  };
+
+  // Accepts a Content-Type header value; null for anything unknown
+  function extensionForMime(mime) {
+    return EXTENSIONS[String(mime).split(';')[0].trim().toLowerCase()] || null;
+  }
+
+  // ── TIFF / EXIF ──
+  // EXIF is a little TIFF file: a byte-order mark, then IFDs (tag
+  // directories) that can point at sub-IFDs for camera and GPS data.
+
+  const TIFF_TAGS = {
+    0x010E: 'Description',
+    0x010F: 'Camera make',
+    0x0110: 'Camera model',
+    0x0112: 'Orientation',
+    0x0131: 'Software',
+    0x0132: 'Modified',
+    0x013B: 'Artist',
+    0x8298: 'Copyright'
+  };
+
+  const EXIF_TAGS = {
+    0x829A: 'Exposure',
+    0x829D: 'Aperture',
+    0x8827: 'ISO',
+    0x9003: 'Taken',
+    0x920A: 'Focal length',
+    0xA002: 'Pixel width',
+    0xA003: 'Pixel height',
+    0xA434: 'Lens'
+  };
+
+  const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+  function parseTiff(bytes, start, end) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset + start, end - start);
+    const order = ascii(bytes, start, start + 2);
+    if (order !== 'II' && order !== 'MM') return [];
+    const le = order === 'II';
+
+    function readIfd(offset) {
+      const entries = new Map();
+      if (offset + 2 > view.byteLength) return entries;
+
+      const count = view.getUint16(offset, le);
+      for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        if (entry + 12 > view.byteLength) break;
+
+        const tag = view.getUint16(entry, le);
+        const type = view.getUint16(entry + 2, le);
+        const n = view.getUint32(entry + 4, le);
+        const size = (TYPE_SIZES[type] || 1) * n;
+        const at = size <= 4 ? entry + 8 : view.getUint32(entry + 8, le);
+        if (at + size > view.byteLength) continue;
+
+        entries.set(tag, readValue(type, n, at));
+      }
+      return entries;
+    }
+
+    function readValue(type, n, at) {
+      if (type === 2) return ascii(bytes, start + at, start + at + n).replace(/\0+$/, '').trim();
+
+      const values = [];
+      for (let i = 0; i < Math.min(n, 16); i++) {
+        if (type === 3) values.push(view.getUint16(at + i * 2, le));
+        else if (type === 4) values.push(view.getUint32(at + i * 4, le));
+        else if (type === 9) values.push(view.getInt32(at + i * 4, le));
+        else if (type === 5 || type === 10) {
+          const num = type === 5 ? view.getUint32(at + i * 8, le) : view.getInt32(at + i * 8, le);
+          const den = type === 5 ? view.getUint32(at + i * 8 + 4, le) : view.getInt32(at + i * 8 + 4, le);
+          values.push(den ? num / den : 0);
+        } else values.push(view.getUint8(at + i));
+      }
+      return n === 1 ? values[0] : values;
+    }
+
+    const fields = [];
+    const ifd0 = readIfd(view.getUint32(4, le));
+
+    for (const [tag, label] of Object.entries(TIFF_TAGS)) {
+      const value = ifd0.get(Number(tag));
+      if (value !== undefined && value !== '') fields.push({ group: 'EXIF', label, value: formatExif(Number(tag), value) });
+    }
+
+    if (ifd0.has(0x8769)) {
+      const exif = readIfd(ifd0.get(0x8769));
+      for (const [tag, label] of Object.entries(EXIF_TAGS)) {
+        const value = exif.get(Number(tag));
+        if (value !== undefined && value !== '') fields.push({ group: 'EXIF', label, value: formatExif(Number(tag), value) });
+      }
+    }
+
+    if (ifd0.has(0x8825)) {
+      const gps = readIfd(ifd0.get(0x8825));
+      const lat = toDegrees(gps.get(2), gps.get(1));
+      const lon = toDegrees(gps.get(4), gps.get(3));
+      if (lat !== null && lon !== null) {
+        fields.push({ group: 'EXIF', label: 'GPS', value: `${lat.toFixed(6)}, ${lon.toFixed(6)}` });
+      }
+    }
+
+    return fields;
+  }
+
+  function toDegrees(dms, ref) {
+    if (!Array.isArray(dms) || dms.length < 3) return null;
+    const deg = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    return ref === 'S' || ref === 'W' ? -deg : deg;
+  }
+
+  function formatExif(tag, value) {
+    if (tag === 0x829A) return value >= 1 ? `${value} s` : `1/${Math.round(1 / value)} s`;
+    if (tag === 0x829D) return `f/${Math.round(value * 10) / 10}`;
+    if (tag === 0x920A) return `${Math.round(value * 10) / 10} mm`;
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+  }
+
+  // ── IPTC (inside Photoshop APP13 image resources) ──
+
+  const IPTC_TAGS = {
+    5: 'Title',
+    25: 'Keywords',
+    55: 'Date created',
+    80: 'By-line',
+    90: 'City',
+    101: 'Country',
+    105: 'Headline',
+    110: 'Credit',
+    115: 'Source',
+    116: 'Copyright',
+    120: 'Caption'
+  };
+
+  function parseIptc(bytes, start, end) {
+    const values = new Map();
+    let i = start;
+
+    while (i + 5 <= end && bytes[i] === 0x1C) {
+      const record = bytes[i + 1];
+      const dataset = bytes[i + 2];
+      const length = (bytes[i + 3] << 8) | bytes[i + 4];
+      const text = new TextDecoder().decode(bytes.subarray(i + 5, Math.min(end, i + 5 + length))).trim();
+      if (record === 2 && IPTC_TAGS[dataset]) {
+        const label = IPTC_TAGS[dataset];
+        values.set(label, values.has(label) ? `${values.get(label)}, ${text}` : text);
+      }
+      i += 5 + length;
+    }
+
+    return [...values].map(([label, value]) => ({ group: 'IPTC', label, value }));
+  }
+
+  function parsePhotoshopResources(bytes, start, end) {
+    let i = start;
+
+    while (i + 12 <= end && ascii(bytes, i, i + 4) === '8BIM') {
+      const id = (bytes[i + 4] << 8) | bytes[i + 5];
+      const nameField = 1 + bytes[i + 6]; // Pascal string, padded to even length
+      let p = i + 6 + nameField + (nameField % 2);
+      const size = (bytes[p] << 24 | bytes[p + 1] << 16 | bytes[p + 2] << 8 | bytes[p + 3]) >>> 0;
+      p += 4;
+      if (id === 0x0404) return parseIptc(bytes, p, Math.min(end, p + size));
+      i = p + size + (size % 2);
+    }
+
+    return [];
+  }
+
+  // ── Containers ──
+
+  function parseJpeg(bytes) {
+    const fields = [];
+    let i = 2;
+
+    while (i + 4 <= bytes.length && bytes[i] === 0xFF) {
+      const marker = bytes[i + 1];
+      if (marker === 0xDA || marker === 0xD9) break; // image data starts
+      const length = (bytes[i + 2] << 8) | bytes[i + 3];
+      const start = i + 4;
+      const end = Math.min(bytes.length, i + 2 + length);
+
+      if (marker === 0xE1 && ascii(bytes, start, start + 6) === 'Exif\0\0') {
+        fields.push(...parseTiff(bytes, start + 6, end));
+      } else if (marker === 0xED && ascii(bytes, start, start + 14) === 'Photoshop 3.0\0') {
+        fields.push(...parsePhotoshopResources(bytes, start + 14, end));
+      }
+
+      i += 2 + length;
+    }
+
+    return fields;
+  }
+
+  function parsePng(bytes) {
+    const fields = [];
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let i = 8;
+
+    while (i + 8 <= bytes.length) {
+      const length = view.getUint32(i);
+      const type = ascii(bytes, i + 4, i + 8);
+      const start = i + 8;
+      const end = Math.min(bytes.length, start + length);
+
+      if (type === 'eXIf') {
+        fields.push(...parseTiff(bytes, start, end));
+      } else if (type === 'tEXt' || type === 'iTXt') {
+        const sep = bytes.indexOf(0, start);
+        if (sep !== -1 && sep < end) {
+          const keyword = ascii(bytes, start, sep);
+          let textStart = sep + 1;
+          // iTXt: compression flag, method, language tag\0, translated keyword\0
+          if (type === 'iTXt') {
+            if (bytes[textStart] !== 0) { i = end + 4; continue; } // compressed
+            textStart = bytes.indexOf(0, bytes.indexOf(0, textStart + 2) + 1) + 1;
+          }
+          if (!keyword.startsWith('Raw profile') && keyword !== 'XML:com.adobe.xmp') {
+            const value = new TextDecoder().decode(bytes.subarray(textStart, end)).trim();
+            if (value) fields.push({ group: 'Text', label: keyword, value });
+          }
+        }
+      } else if (type === 'IDAT' || type === 'IEND') {
+        break; // metadata after image data is rare; don't read megabytes of pixels
+      }
+
+      i = end + 4; // skip CRC
+    }
+
+    return fields;
+  }
+
+  function parseWebp(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let i = 12;
+
+    while (i + 8 <= bytes.length) {
+      const type = ascii(bytes, i, i + 4);
+      const size = view.getUint32(i + 4, true);
+      const start = i + 8;
+      const end = Math.min(bytes.length, start + size);
+
+      if (type === 'EXIF') {
+        // Some encoders keep the JPEG-style "Exif\0\0" prefix
+        const tiff = ascii(bytes, start, start + 6) === 'Exif\0\0' ? start + 6 : start;
+        return parseTiff(bytes, tiff, end);
+      }
+
+      i = end + (size % 2); // chunks are padded to even length
+    }
+
+    return [];
+  }
+
+  // Returns [{ group, label, value }]; empty when there's nothing to show
+  // or the bytes are malformed.
+  function parse(bytes) {
+    try {
+      const mime = sniffMime(bytes);
+      if (mime === 'image/jpeg') return parseJpeg(bytes);
+      if (mime === 'image/png') return parsePng(bytes);
+      if (mime === 'image/webp') return parseWebp(bytes);
+    } catch (e) {
+      // Truncated or corrupt metadata - show what the panel already knows
+    }
+    return [];
+  }
+
+  self.DblCtrlMetadata = { sniffMime, extensionForMime, parse };
+})();
@@ -0,0 +1,74 @@
+// Offscreen document for "Extract text": runs the bundled Tesseract build
+// (vendor/tesseract) on images content.js sends through background.js.
+// It lives here because Tesseract needs a worker, which neither a page's
+// content script (the worker would have to be the page's own) nor the
+// service worker can start. Everything is read from the extension
+// itself; nothing is downloaded.
+
+(function () {
+  'use strict';
+
+  const VENDOR = chrome.runtime.getURL('vendor/tesseract/');
+  // The worker holds the model in memory; let it go between uses
+  const IDLE_MS = 60000;
+
+  let workerPromise = null;
+  let idleTimer = 0;
+
+  function getWorker() {
+    workerPromise ||= Tesseract.createWorker('eng', Tesseract.OEM.LSTM_ONLY, {
+      workerPath: VENDOR + 'worker.min.js',
+      corePath: VENDOR + 'tesseract-core-simd-lstm.wasm.js',
+      langPath: VENDOR,
+      workerBlobURL: false,
+      cacheMethod: 'none'
+    }).catch((e) => {
+      workerPromise = null;
+      throw e;
+    });
+    return workerPromise;
+  }
+
+  function scheduleIdle() {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      const worker = workerPromise;
+      workerPromise = null;
+      worker?.then((w) => w.terminate()).catch(() => {});
+    }, IDLE_MS);
+  }
+
+  // Lines in reading order, each with its words' boxes in image pixels:
+  // { text, words: [{ x0, y0, x1, y1 }] }. Words Tesseract is unsure of
+  // are mostly noise from photos, so they're left out.
+  async function recognize(image) {
+    clearTimeout(idleTimer);
+    try {
+      const worker = await getWorker();
+      const { data } = await worker.recognize(image, {}, { blocks: true, text: false });
+
+      const lines = [];
+      for (const block of data.blocks || []) {
+        for (const paragraph of block.paragraphs) {
+          for (const line of paragraph.lines) {
+            const words = line.words.filter((w) => w.text.trim() && w.confidence >= 40);
+            if (!words.length) continue;
+            lines.push({ text: words.map((w) => w.text).join(' '), words: words.map((w) => w.bbox) });
+          }
+        }
+      }
+      return lines;
+    } finally {
+      scheduleIdle();
+    }
+  }
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.action !== 'ocrRecognize') return;
+    recognize(message.image).then(
+      (lines) => sendResponse({ lines }),
+      (e) => sendResponse({ error: String(e?.message || e) })
+    );
+    return true;
+  });
+})();
@@ -0,0 +1,138 @@
+(function () {
+  'use strict';
+
+  const $ = (id) => document.getElementById(id);
+
+  let statusTimer = 0;
+
+  // ── Render ──
+
+  function render(s) {
+    for (const radio of document.querySelectorAll('input[name="triggerMode"]')) {
+      radio.checked = radio.value === s.triggerMode;
+    }
+    $('triggerKey').value = s.triggerKey;
+    $('triggerChord').value = s.triggerChord;
+    $('longPressToOpen').checked = s.longPressToOpen;
+    $('hoverPreview').checked = s.hoverPreview;
+    $('hoverDelay').value = s.hoverDelay;
+    $('doubleTapThreshold').value = s.doubleTapThreshold;
+    $('zoomLevels').value = s.zoomLevels.join(', ');
+    $('maxZoom').value = s.maxZoom;
+    $('minImageSize').value = s.minImageSize;
+    $('backdropOpacity').value = s.backdropOpacity;
+    $('backdropOpacityValue').textContent = Math.round(s.backdropOpacity * 100) + '%';
+    $('saveFormat').value = s.saveFormat;
+    $('saveQuality').value = s.saveQuality;
+    $('saveQualityValue').textContent = Math.round(s.saveQuality * 100) + '%';
+    $('saveFilename').value = s.saveFilename;
+    $('skipSaveAs').checked = s.skipSaveAs;
+    $('saveFolder').value = s.saveFolder;
+    $('batchFilename').value = s.batchFilename;
+    $('searchProviders').value = s.searchProviders.join('\n');
+    $('historyEnabled').checked = s.historyEnabled;
+    $('historyMaxMB').value = s.historyMaxMB;
+    $('historyExcludedSites').value = s.historyExcludedSites.join('\n');
+    $('blockedSites').value = s.blockedSites.join('\n');
+    $('allowedSites').value = s.allowedSites.join('\n');
+  }
+
+  // ── Save ──
+  // Every change is normalized and written straight to chrome.storage.sync;
+  // open tabs pick it up through DblCtrlSettings.subscribe.
+
+  function readForm() {
+    return {
+      triggerMode: document.querySelector('input[name="triggerMode"]:checked')?.value,
+      triggerKey: $('triggerKey').value,
+      triggerChord: $('triggerChord').value,
+      longPressToOpen: $('longPressToOpen').checked,
+      hoverPreview: $('hoverPreview').checked,
+      hoverDelay: $('hoverDelay').value,
+      doubleTapThreshold: $('doubleTapThreshold').value,
+      zoomLevels: $('zoomLevels').value.split(/[\s,]+/).filter(Boolean),
+      maxZoom: $('maxZoom').value,
+      minImageSize: $('minImageSize').value,
+      backdropOpacity: $('backdropOpacity').value,
+      saveFormat: $('saveFormat').value,
+      saveQuality: $('saveQuality').value,
+      saveFilename: $('saveFilename').value,
+      skipSaveAs: $('skipSaveAs').checked,
+      saveFolder: $('saveFolder').value,
+      batchFilename: $('batchFilename').value,
+      searchProviders: $('searchProviders').value.split('\n'),
+      historyEnabled: $('historyEnabled').checked,
+      historyMaxMB: $('historyMaxMB').value,
+      historyExcludedSites: $('historyExcludedSites').value.split('\n'),
+      blockedSites: $('blockedSites').value.split('\n'),
+      allowedSites: $('allowedSites').value.split('\n')
+    };
+  }
+
+  async function save() {
+    const next = DblCtrlSettings.normalize(readForm());
+    await DblCtrlSettings.save(next);
+    render(next);
+    showStatus('Saved');
+  }
+
+  function showStatus(msg) {
+    $('status').textContent = msg;
+    clearTimeout(statusTimer);
+    statusTimer = setTimeout(() => { $('status').textContent = ''; }, 1500);
+  }
+
+  // ── Chord recorder ──
+
+  function onChordKeydown(e) {
+    if (e.key === 'Tab') return;
+    e.preventDefault();
+
+    if (e.key === 'Escape') {
+      e.target.blur();
+      return;
+    }
+
+    const chord = DblCtrlSettings.chordFromEvent(e);
+    if (!chord) return; // still holding modifiers
+
+    e.target.value = chord;
+    document.querySelector('input[name="triggerMode"][value="chord"]').checked = true;
+    e.target.blur();
+    save();
+  }
+
+  // ── Init ──
+
+  DblCtrlSettings.load().then(render);
+
+  // The popup edits the site lists too; keep this page in step with it
+  DblCtrlSettings.subscribe(render);
+
+  document.querySelector('main').addEventListener('change', (e) => {
+    if (e.target.id !== 'triggerChord') save();
+  });
+
+  $('backdropOpacity').addEventListener('input', (e) => {
+    $('backdropOpacityValue').textContent = Math.round(e.target.value * 100) + '%';
+  });
+
+  $('saveQuality').addEventListener('input', (e) => {
+    $('saveQualityValue').textContent = Math.round(e.target.value * 100) + '%';
+  });
+
+  $('triggerChord').addEventListener('focus', (e) => e.target.classList.add('recording'));
+  $('triggerChord').addEventListener('blur', (e) => e.target.classList.remove('recording'));
+  $('triggerChord').addEventListener('keydown', onChordKeydown);
+
+  $('clearHistory').addEventListener('click', async () => {
+    await DblCtrlHistory.clear();
+    showStatus('History cleared');
+  });
+
+  $('reset').addEventListener('click', async () => {
+    await DblCtrlSettings.save(DblCtrlSettings.DEFAULTS);
+    render(DblCtrlSettings.DEFAULTS);
+    showStatus('Defaults restored');
+  });
+})();
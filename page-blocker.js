@@ -1,37 +1,85 @@
 // This script runs in the PAGE'S world (not the extension's isolated world).
 // Declared with "world": "MAIN" in manifest.json, it bypasses CSP restrictions.
 //
-// It blocks all keyboard events while the overlay is open, and handles
-// Escape by directly removing the overlay from the DOM.
+// While the overlay is open it blocks all keyboard events from reaching
+// the page, and forwards the keys the overlay uses (Escape and its
+// shortcuts) to content.js. The overlay lives in a closed shadow root
+// this script can't see into, so content.js sends it the key policy
+// over the private channel set up with channel.js.
+//
+// The page shares this world and could patch the DOM APIs used here,
+// so they're captured at document_start, before any page script runs.
 
 (function () {
   'use strict';
 
-  function block(e) {
-    var overlay = document.getElementById('dblctrl-overlay');
-    var marker = document.getElementById('dblctrl-key-block');
+  var listen = EventTarget.prototype.addEventListener;
+  var unlisten = EventTarget.prototype.removeEventListener;
+  var dispatch = EventTarget.prototype.dispatchEvent;
+  var Custom = CustomEvent;
+  var parse = JSON.parse;
+  var stringify = JSON.stringify;
+  var indexOf = Array.prototype.indexOf;
+
+  var random = crypto.getRandomValues(new Uint32Array(4));
+  var nonce = '';
+  for (var i = 0; i < random.length; i++) nonce += random[i].toString(36);
+
+  var toExtension = 'dblctrl-' + nonce + '-ext';
+
+  // null while closed; { mode, keys } while the overlay is open, where
+  // mode is "overlay" (swallow, forward `keys`), "text" (a text field in
+  // the overlay types as usual) or "drain" (swallow the keyups that
+  // follow closing)
+  var policy = null;
+
+  listen.call(window, 'dblctrl-' + nonce + '-page', function (e) {
+    var message;
+    try {
+      message = parse(e.detail);
+    } catch (err) {
+      return;
+    }
 
-    if (!overlay && !marker) return;
+    if (message.type === 'ready') {
+      unlisten.call(window, 'dblctrl-hello', announce);
+    } else if (message.type === 'keys') {
+      policy = message.policy || null;
+    }
+  });
+
+  function announce() {
+    dispatch.call(window, new Custom('dblctrl-nonce', { detail: nonce }));
+  }
+
+  // See channel.js: covers both orders the two scripts can start in
+  listen.call(window, 'dblctrl-hello', announce);
+  announce();
+
+  function block(e) {
+    var p = policy;
+    if (!p) return;
 
     e.stopPropagation();
     e.stopImmediatePropagation();
-    e.preventDefault();
 
-    if (e.type === 'keydown' && e.key === 'Escape' && overlay) {
-      overlay.remove();
-      document.body.style.overflow = '';
+    // While typing only Escape and Tab belong to the overlay; Tab so focus
+    // can't wander out of it
+    var typing = p.mode === 'text' && e.key !== 'Escape' && e.key !== 'Tab';
+    if (!typing) e.preventDefault();
+    if (e.type !== 'keydown' || p.mode === 'drain' || typing) return;
 
-      var m = document.createElement('div');
-      m.id = 'dblctrl-key-block';
-      m.style.display = 'none';
-      document.body.appendChild(m);
-      setTimeout(function () { m.remove(); }, 200);
+    var forward = e.key === 'Escape' ||
+      (!e.ctrlKey && !e.metaKey && !e.altKey && indexOf.call(p.keys || [], e.key) !== -1);
+    if (forward) {
+      var message = { type: 'key', key: e.key, shift: e.shiftKey };
+      dispatch.call(window, new Custom(toExtension, { detail: stringify(message) }));
     }
   }
 
   // Use window, not document. Capture phase on window is the very first
   // opportunity to intercept — before any document-level listeners.
-  window.addEventListener('keydown', block, true);
-  window.addEventListener('keyup', block, true);
-  window.addEventListener('keypress', block, true);
+  listen.call(window, 'keydown', block, true);
+  listen.call(window, 'keyup', block, true);
+  listen.call(window, 'keypress', block, true);
 })();
@@ -0,0 +1,245 @@
+(function () {
+  'use strict';
+
+  const $ = (id) => document.getElementById(id);
+
+  let tabId = null;
+  let tabUrl = null;
+  let host = null;
+  let thumbnailUrls = []; // object URLs of the history thumbnails on show
+
+  // ── Render ──
+
+  function render(s) {
+    const checkbox = $('disable-site');
+    const note = $('note');
+
+    if (!host) {
+      $('host').textContent = 'This page';
+      checkbox.disabled = true;
+      $('save-all').disabled = true;
+      $('site-row').classList.add('disabled');
+      note.textContent = 'Double Ctrl can’t run on this page.';
+      note.hidden = false;
+      return;
+    }
+
+    $('host').textContent = host;
+    checkbox.checked = !DblCtrlSettings.isSiteEnabled(s, tabUrl);
+    $('save-all').disabled = checkbox.checked;
+
+    // Explain rules the checkbox alone can't undo
+    const rule = s.blockedSites.find((p) => p !== host && DblCtrlSettings.matchesSite(p, tabUrl));
+    note.hidden = !rule;
+    if (rule) note.textContent = `Blocked by the rule “${rule}” in Options.`;
+  }
+
+  // ── Toggle ──
+  // Disabling adds the exact hostname to the block list. Enabling removes
+  // it again and, when an allow list is in use, adds the hostname there.
+
+  async function onToggle(e) {
+    const s = await DblCtrlSettings.load();
+    const blockedSites = s.blockedSites.filter((p) => p !== host);
+    let allowedSites = s.allowedSites;
+
+    if (e.target.checked) {
+      blockedSites.push(host);
+    } else if (allowedSites.length && !allowedSites.some((p) => DblCtrlSettings.matchesSite(p, tabUrl))) {
+      allowedSites = [...allowedSites, host];
+    }
+
+    await DblCtrlSettings.save({ blockedSites, allowedSites });
+    render(await DblCtrlSettings.load());
+  }
+
+  async function onExcludeHistory(e) {
+    const s = await DblCtrlSettings.load();
+    const historyExcludedSites = s.historyExcludedSites.filter((p) => p !== host);
+    if (e.target.checked) historyExcludedSites.push(host);
+
+    await DblCtrlSettings.save({ historyExcludedSites });
+    renderHistory(await DblCtrlSettings.load());
+  }
+
+  // ── Save all ──
+  // The grid opens in the page, in the top frame, and the popup gets out
+  // of its way. Tabs opened before the extension was installed or
+  // updated have no content script to answer.
+
+  async function onSaveAll() {
+    try {
+      await chrome.tabs.sendMessage(tabId, { action: 'openBatch' }, { frameId: 0 });
+      window.close();
+    } catch (e) {
+      $('note').textContent = 'Reload the page to use Double Ctrl here.';
+      $('note').hidden = false;
+    }
+  }
+
+  // ── History ──
+  // Newest first. An image opens again in this tab's overlay, or in a tab
+  // of its own where there's no overlay to open it in.
+
+  async function renderHistory(s) {
+    const entries = await DblCtrlHistory.list().catch(() => []);
+
+    $('history').hidden = !s.historyEnabled && !entries.length;
+    $('history-site-row').hidden = !s.historyEnabled || !host;
+    $('exclude-history').checked = !!host && s.historyExcludedSites.some((p) => DblCtrlSettings.matchesSite(p, tabUrl));
+    $('history-empty').hidden = entries.length > 0;
+    $('clear-history').disabled = !entries.length;
+
+    thumbnailUrls.forEach((url) => URL.revokeObjectURL(url));
+    thumbnailUrls = [];
+    $('history-list').replaceChildren(...entries.map(historyItem));
+  }
+
+  function historyItem(entry) {
+    const item = document.createElement('li');
+
+    const thumb = document.createElement('img');
+    thumb.alt = '';
+    if (entry.thumbnail) {
+      thumb.src = URL.createObjectURL(entry.thumbnail);
+      thumbnailUrls.push(thumb.src);
+    }
+
+    const title = document.createElement('span');
+    title.className = 'history-title';
+    title.textContent = entry.pageTitle || hostOf(entry.pageUrl);
+    title.title = entry.pageUrl;
+
+    const meta = document.createElement('span');
+    meta.className = 'history-meta';
+    meta.textContent = `${entry.width} × ${entry.height} · ${new Date(entry.time).toLocaleString()}`;
+
+    const actions = document.createElement('span');
+    actions.className = 'history-actions';
+    for (const [label, action] of [['Open', openEntry], ['Copy', copyEntry], ['Save', saveEntry]]) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = label;
+      // Without the bytes there's nothing to put on the clipboard
+      btn.disabled = action === copyEntry && !entry.full;
+      btn.addEventListener('click', () => action(entry).catch(() => {
+        showNote(`Couldn’t ${label.toLowerCase()} this image.`);
+      }));
+      actions.appendChild(btn);
+    }
+
+    const text = document.createElement('div');
+    text.className = 'history-text';
+    text.append(title, meta, actions);
+
+    item.append(thumb, text);
+    return item;
+  }
+
+  async function openEntry(entry) {
+    const url = entry.full ? await blobToDataUrl(entry.full) : entry.url;
+    try {
+      if (!host) throw new Error('No content script');
+      await chrome.tabs.sendMessage(tabId, {
+        action: 'openOverlay',
+        url,
+        originals: [],
+        alt: entry.pageTitle,
+        fromHistory: true
+      }, { frameId: 0 });
+    } catch (e) {
+      if (entry.full) await chrome.runtime.sendMessage({ action: 'handoff', dataUrl: url, title: entry.pageTitle });
+      else await chrome.tabs.create({ url });
+    }
+    window.close();
+  }
+
+  async function copyEntry(entry) {
+    const png = entry.full.type === 'image/png' ? entry.full : await toPng(entry.full);
+    await navigator.clipboard.write([new ClipboardItem({ 'image/png': png })]);
+    showNote('Copied to clipboard.');
+  }
+
+  // background.js downloads it; with no bytes kept, from the web address
+  async function saveEntry(entry) {
+    const ext = entry.full ? DblCtrlMetadata.extensionForMime(entry.full.type) : '';
+    const name = (entry.url && new URL(entry.url).pathname.split('/').pop().replace(/\.[a-z0-9]+$/i, '')) || 'image';
+    await chrome.runtime.sendMessage({
+      action: 'download',
+      url: entry.full ? await blobToDataUrl(entry.full) : entry.url,
+      filename: ext ? `${name}.${ext}` : name,
+      guessExtension: !ext
+    });
+  }
+
+  async function onClearHistory() {
+    await DblCtrlHistory.clear();
+    renderHistory(await DblCtrlSettings.load());
+  }
+
+  function toPng(blob) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = img.naturalWidth;
+        canvas.height = img.naturalHeight;
+        canvas.getContext('2d').drawImage(img, 0, 0);
+        URL.revokeObjectURL(img.src);
+        canvas.toBlob((b) => (b ? resolve(b) : reject(new Error('toBlob failed'))), 'image/png');
+      };
+      img.onerror = () => reject(new Error('Image load failed'));
+      img.src = URL.createObjectURL(blob);
+    });
+  }
+
+  function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  function hostOf(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (e) {
+      return '';
+    }
+  }
+
+  function showNote(msg) {
+    $('note').textContent = msg;
+    $('note').hidden = false;
+  }
+
+  // ── Init ──
+
+  chrome.tabs.query({ active: true, currentWindow: true }, async ([tab]) => {
+    tabId = tab?.id ?? null;
+    try {
+      const url = new URL(tab?.url || '');
+      if (url.protocol === 'http:' || url.protocol === 'https:') {
+        tabUrl = url.href;
+        host = url.hostname;
+      }
+    } catch (e) {
+      // not a web page
+    }
+    const s = await DblCtrlSettings.load();
+    render(s);
+    renderHistory(s);
+  });
+
+  $('disable-site').addEventListener('change', onToggle);
+  $('save-all').addEventListener('click', onSaveAll);
+  $('exclude-history').addEventListener('change', onExcludeHistory);
+  $('clear-history').addEventListener('click', onClearHistory);
+
+  $('open-options').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+})();
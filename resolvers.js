@@ -0,0 +1,140 @@
+// Full-resolution resolvers: turn the URL a page displays (often a
+// thumbnail) into candidate URLs for the original. Loaded as a content
+// script before content.js, which shows the displayed image right away
+// and swaps in the first candidate that loads bigger.
+//
+// A resolver is { name, resolve(url, el) } and returns a URL, an array
+// of URLs, or nothing. `el` is the element the image came from, or null
+// when only the URL is known (an image relayed from another frame).
+
+(function () {
+  'use strict';
+
+  const resolvers = [];
+
+  function register(resolver) {
+    resolvers.push(resolver);
+  }
+
+  // Candidates from every resolver, in registration order, made absolute
+  // and without duplicates or the displayed URL itself.
+  function originalsFor(url, el) {
+    if (!/^https?:/.test(url)) return [];
+
+    const base = el?.ownerDocument?.baseURI || url;
+    const out = [];
+
+    for (const resolver of resolvers) {
+      let found;
+      try {
+        found = resolver.resolve(url, el);
+      } catch (e) {
+        continue; // one broken resolver shouldn't hide the others
+      }
+
+      for (const candidate of [].concat(found || [])) {
+        let abs;
+        try {
+          abs = new URL(candidate, base).href;
+        } catch (e) {
+          continue;
+        }
+        if (/^https?:/.test(abs) && abs !== url && !out.includes(abs)) out.push(abs);
+      }
+    }
+
+    return out;
+  }
+
+  // ── Size suffixes ──
+
+  const IMAGE_EXT = /\.(jpe?g|png|gif|webp|avif|bmp|svg|tiff?)$/i;
+
+  // "photo-150x150.jpg", "photo_thumb.jpg", "photo.thumbnail.png" ->
+  // "photo.jpg". Works on the path only; the query string is kept.
+  function stripPathSuffixes(path) {
+    return path.replace(
+      /(?:-\d+x\d+|[-_.](?:thumb|thumbnail|small|preview))(\.[a-z0-9]+)$/i,
+      '$1'
+    );
+  }
+
+  function stripSizeSuffix(url) {
+    const u = new URL(url);
+
+    // Google image hosts (Photos, Blogger, YouTube avatars): size options
+    // after "=" at the end of the path, or a "/s200/" path segment. s0 is
+    // the original.
+    if (/(^|\.)(googleusercontent|ggpht|blogspot)\.com$/.test(u.hostname)) {
+      const path = u.pathname
+        .replace(/=[swh]\d+[^/]*$/, '=s0')
+        .replace(/\/[swh]\d+(-[a-z0-9-]+)?\//, '/s0/');
+      if (path !== u.pathname) {
+        u.pathname = path;
+        return u.href;
+      }
+    }
+
+    const path = stripPathSuffixes(u.pathname);
+    if (path === u.pathname) return null;
+    u.pathname = path;
+    return u.href;
+  }
+
+  // ── Page markup ──
+
+  const FULL_SIZE_ATTRS = [
+    'data-full',
+    'data-full-src',
+    'data-zoom-src',
+    'data-zoom-image',
+    'data-large-src',
+    'data-hires',
+    'data-original'
+  ];
+  const FULL_SIZE_SELECTOR = FULL_SIZE_ATTRS.map((a) => `[${a}]`).join(', ');
+
+  // Lightboxes and zoom widgets keep the big version in a data attribute
+  // on the image or a wrapper around it.
+  function fromDataAttributes(url, el) {
+    const holder = el?.closest?.(FULL_SIZE_SELECTOR);
+    if (!holder) return null;
+    return FULL_SIZE_ATTRS.map((a) => holder.getAttribute(a)).filter(Boolean);
+  }
+
+  // Thumbnails linked straight to their image file
+  function fromEnclosingLink(url, el) {
+    const link = el?.closest?.('a[href]');
+    if (!link) return null;
+
+    try {
+      return IMAGE_EXT.test(new URL(link.href).pathname) ? link.href : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // og:image is usually the full-size version of the page's main image.
+  // It counts as the same picture when the file names match once size
+  // suffixes are stripped, so unrelated images on the page don't get it.
+  function fromOpenGraph(url, el) {
+    const doc = el?.ownerDocument;
+    const meta = doc?.querySelector('meta[property="og:image"], meta[name="og:image"]');
+    const ogUrl = meta?.content;
+    if (!ogUrl) return null;
+
+    const stem = (u) => {
+      const name = new URL(u, doc.baseURI).pathname.split('/').pop();
+      return stripPathSuffixes(name).replace(/\.[a-z0-9]+$/i, '').toLowerCase();
+    };
+    return stem(ogUrl) && stem(ogUrl) === stem(url) ? ogUrl : null;
+  }
+
+  // Explicit markup first: it's the page telling us where the original is
+  register({ name: 'data-attributes', resolve: fromDataAttributes });
+  register({ name: 'enclosing-link', resolve: fromEnclosingLink });
+  register({ name: 'open-graph', resolve: fromOpenGraph });
+  register({ name: 'size-suffix', resolve: stripSizeSuffix });
+
+  self.DblCtrlResolvers = { register, originalsFor };
+})();
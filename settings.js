@@ -0,0 +1,249 @@
+// Shared settings schema, loaded both as a content script (before
+// content.js) and by the options page. Values live in chrome.storage.sync;
+// anything missing or malformed falls back to DEFAULTS, so callers never
+// have to validate what they read.
+
+(function () {
+  'use strict';
+
+  const DEFAULTS = {
+    triggerMode: 'double', // 'double' (tap a modifier twice) or 'chord'
+    triggerKey: 'Control', // modifier for 'double' mode
+    triggerChord: 'Alt+Shift+Z', // key combination for 'chord' mode
+    doubleTapThreshold: 400, // ms between the two taps
+    zoomLevels: [0.5, 1, 2, 4, 8],
+    maxZoom: 8,
+    minImageSize: 20, // px - skip tiny images
+    backdropOpacity: 0.85,
+    longPressToOpen: true, // touch/pen long-press opens the overlay
+    hoverPreview: false, // preview images when the mouse rests on them
+    hoverDelay: 500, // ms the mouse has to rest first
+    saveFormat: 'original', // 'original', 'png', 'jpeg' or 'webp'
+    saveQuality: 0.92, // for JPEG and WebP
+    saveFilename: '{name}', // tokens: {host}, {title}, {date}, {name}; "/" for folders
+    skipSaveAs: false, // save straight into saveFolder under Downloads
+    saveFolder: 'Double Ctrl',
+    batchFilename: '{index}-{name}', // "Save all" names: the same tokens plus {index}
+    // "Search this image": "Name | URL template | upload URL | file field"
+    searchProviders: [
+      'Google Lens | https://lens.google.com/uploadbyurl?url={url} | https://lens.google.com/v3/upload | encoded_image',
+      'TinEye | https://tineye.com/search?url={url} | https://tineye.com/search | image',
+      'Yandex | https://yandex.com/images/search?rpt=imageview&url={url} | https://yandex.com/images/search?rpt=imageview | upfile',
+      'Bing | https://www.bing.com/images/search?view=detailv2&iss=sbi&q=imgurl:{url}'
+    ],
+    historyEnabled: false, // keep magnified images in a local history
+    historyMaxMB: 200, // oldest entries go first beyond this
+    historyExcludedSites: [], // site patterns whose images are never kept
+    blockedSites: [], // site patterns where the extension stays off
+    allowedSites: [] // when non-empty, the extension only runs on these
+  };
+
+  const TRIGGER_KEYS = ['Control', 'Alt', 'Shift', 'Meta'];
+  const SAVE_FORMATS = ['original', 'png', 'jpeg', 'webp'];
+  const CHORD_MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+  function clamp(value, min, max, fallback) {
+    const n = Number(value);
+    if (!Number.isFinite(n)) return fallback;
+    return Math.min(max, Math.max(min, n));
+  }
+
+  function template(value, fallback) {
+    return typeof value === 'string' && value.trim() ? value.trim().slice(0, 200) : fallback;
+  }
+
+  function normalize(raw) {
+    const s = { ...DEFAULTS, ...raw };
+
+    const out = {
+      triggerMode: s.triggerMode === 'chord' ? 'chord' : 'double',
+      triggerKey: TRIGGER_KEYS.includes(s.triggerKey) ? s.triggerKey : DEFAULTS.triggerKey,
+      triggerChord: parseChord(s.triggerChord) ? s.triggerChord : DEFAULTS.triggerChord,
+      doubleTapThreshold: clamp(s.doubleTapThreshold, 150, 1000, DEFAULTS.doubleTapThreshold),
+      maxZoom: clamp(s.maxZoom, 1, 64, DEFAULTS.maxZoom),
+      minImageSize: clamp(s.minImageSize, 0, 1000, DEFAULTS.minImageSize),
+      backdropOpacity: clamp(s.backdropOpacity, 0, 1, DEFAULTS.backdropOpacity),
+      longPressToOpen: s.longPressToOpen !== false,
+      hoverPreview: s.hoverPreview === true,
+      hoverDelay: clamp(s.hoverDelay, 100, 3000, DEFAULTS.hoverDelay),
+      saveFormat: SAVE_FORMATS.includes(s.saveFormat) ? s.saveFormat : DEFAULTS.saveFormat,
+      saveQuality: clamp(s.saveQuality, 0.1, 1, DEFAULTS.saveQuality),
+      saveFilename: template(s.saveFilename, DEFAULTS.saveFilename),
+      skipSaveAs: s.skipSaveAs === true,
+      // May be empty: straight into Downloads
+      saveFolder: typeof s.saveFolder === 'string' ? s.saveFolder.trim().slice(0, 200) : DEFAULTS.saveFolder,
+      batchFilename: template(s.batchFilename, DEFAULTS.batchFilename),
+      searchProviders: normalizeProviders(s.searchProviders),
+      historyEnabled: s.historyEnabled === true,
+      historyMaxMB: clamp(s.historyMaxMB, 10, 2000, DEFAULTS.historyMaxMB),
+      historyExcludedSites: normalizeSites(s.historyExcludedSites),
+      blockedSites: normalizeSites(s.blockedSites),
+      allowedSites: normalizeSites(s.allowedSites)
+    };
+
+    // Zoom steps: positive, unique, ascending and within maxZoom
+    const levels = (Array.isArray(s.zoomLevels) ? s.zoomLevels : [])
+      .map(Number)
+      .filter((z) => Number.isFinite(z) && z > 0 && z <= out.maxZoom);
+    out.zoomLevels = levels.length
+      ? [...new Set(levels)].sort((a, b) => a - b)
+      : DEFAULTS.zoomLevels.filter((z) => z <= out.maxZoom);
+
+    return out;
+  }
+
+  function load() {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get(DEFAULTS, (items) => resolve(normalize(items)));
+    });
+  }
+
+  function save(patch) {
+    return chrome.storage.sync.set(patch);
+  }
+
+  // Calls back with the full, normalized settings whenever they change.
+  function subscribe(callback) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'sync') load().then(callback);
+    });
+  }
+
+  // ── Chords ──
+  // Stored as e.g. "Alt+Shift+Z". The key part comes from KeyboardEvent.code
+  // rather than .key, so Alt/Option combinations that produce a different
+  // character (macOS) still match.
+
+  function parseChord(str) {
+    if (typeof str !== 'string') return null;
+    const parts = str.split('+').map((p) => p.trim()).filter(Boolean);
+    const key = parts.pop();
+    if (!key || CHORD_MODIFIERS.includes(key)) return null;
+    if (!parts.every((p) => CHORD_MODIFIERS.includes(p))) return null;
+
+    return {
+      ctrl: parts.includes('Ctrl'),
+      alt: parts.includes('Alt'),
+      shift: parts.includes('Shift'),
+      meta: parts.includes('Meta'),
+      key
+    };
+  }
+
+  function keyNameFromCode(code) {
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+    return code;
+  }
+
+  // Returns the chord string for a keydown, or null for a bare modifier.
+  function chordFromEvent(e) {
+    if (['Control', 'Alt', 'Shift', 'Meta'].includes(e.key) || !e.code) return null;
+
+    const parts = [];
+    if (e.ctrlKey) parts.push('Ctrl');
+    if (e.altKey) parts.push('Alt');
+    if (e.shiftKey) parts.push('Shift');
+    if (e.metaKey) parts.push('Meta');
+    parts.push(keyNameFromCode(e.code));
+    return parts.join('+');
+  }
+
+  function matchesChord(e, chord) {
+    const c = parseChord(chord);
+    if (!c) return false;
+    return e.ctrlKey === c.ctrl &&
+      e.altKey === c.alt &&
+      e.shiftKey === c.shift &&
+      e.metaKey === c.meta &&
+      keyNameFromCode(e.code) === c.key;
+  }
+
+  // ── Search providers ──
+  // Stored one per line as "Name | URL template | upload URL | file field".
+  // The template gets the image address for {url}. The last two are
+  // optional: a form-post endpoint taking the image as a file, for blob:
+  // and data: images, which have no address another site could fetch.
+
+  function parseProvider(line) {
+    if (typeof line !== 'string') return null;
+    const [name, url, upload, field] = line.split('|').map((p) => p.trim());
+    if (!name || !isWebUrl(url) || !url.includes('{url}')) return null;
+    if (upload && (!isWebUrl(upload) || !field)) return null;
+    return { name, url, upload: upload || null, field: field || null };
+  }
+
+  function isWebUrl(str) {
+    return typeof str === 'string' && /^https?:\/\/\S+$/i.test(str);
+  }
+
+  // An empty list stays empty: it turns searching off
+  function normalizeProviders(list) {
+    if (!Array.isArray(list)) return DEFAULTS.searchProviders;
+    const lines = list.map((l) => String(l).trim()).filter((l) => parseProvider(l));
+    return [...new Set(lines)].slice(0, 20);
+  }
+
+  // ── Site rules ──
+  // A pattern is a hostname ("example.com"), a hostname wildcard
+  // ("*.example.com", which also matches example.com itself), optionally
+  // followed by a path prefix ("example.com/editor/*").
+
+  function normalizeSites(list) {
+    if (!Array.isArray(list)) return [];
+    const patterns = list
+      .map((p) => String(p).trim().toLowerCase().replace(/^[a-z-]+:\/\//, ''))
+      .filter(Boolean);
+    return [...new Set(patterns)];
+  }
+
+  function globToRegExp(glob, anchorEnd) {
+    const body = glob.split('*').map((s) => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp('^' + body + (anchorEnd ? '$' : ''));
+  }
+
+  function matchesSite(pattern, url) {
+    let u;
+    try {
+      u = new URL(url);
+    } catch (e) {
+      return false;
+    }
+
+    const slash = pattern.indexOf('/');
+    const hostPattern = slash === -1 ? pattern : pattern.slice(0, slash);
+    const pathPattern = slash === -1 ? '' : pattern.slice(slash);
+
+    const host = u.hostname.toLowerCase();
+    const hostOk = globToRegExp(hostPattern, true).test(host) ||
+      (hostPattern.startsWith('*.') && host === hostPattern.slice(2));
+    if (!hostOk) return false;
+
+    return !pathPattern || globToRegExp(pathPattern, false).test(u.pathname.toLowerCase());
+  }
+
+  function isSiteEnabled(s, url) {
+    if (s.blockedSites.some((p) => matchesSite(p, url))) return false;
+    return s.allowedSites.length === 0 || s.allowedSites.some((p) => matchesSite(p, url));
+  }
+
+  function isHistoryKept(s, url) {
+    return s.historyEnabled && !s.historyExcludedSites.some((p) => matchesSite(p, url));
+  }
+
+  self.DblCtrlSettings = {
+    DEFAULTS,
+    TRIGGER_KEYS,
+    normalize,
+    load,
+    save,
+    subscribe,
+    matchesSite,
+    isSiteEnabled,
+    isHistoryKept,
+    parseChord,
+    chordFromEvent,
+    matchesChord,
+    parseProvider
+  };
+})();
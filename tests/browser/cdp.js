@@ -0,0 +1,76 @@
+// A minimal Chrome DevTools Protocol client over Node's built-in
+// WebSocket (Node 22+). One browser connection; pages and the service
+// worker are reached through flattened sessions, so every call and event
+// carries the sessionId of the target it belongs to.
+
+'use strict';
+
+class CDP {
+  static connect(url) {
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(url);
+      ws.onopen = () => resolve(new CDP(ws));
+      ws.onerror = () => reject(new Error(`Cannot connect to ${url}`));
+    });
+  }
+
+  constructor(ws) {
+    this.ws = ws;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.listeners = new Set();
+    ws.onmessage = (e) => this.onMessage(JSON.parse(e.data));
+    ws.onclose = () => {
+      for (const p of this.pending.values()) p.reject(new Error(`${p.method}: connection closed`));
+      this.pending.clear();
+    };
+  }
+
+  onMessage(msg) {
+    if (msg.id) {
+      const p = this.pending.get(msg.id);
+      if (!p) return;
+      this.pending.delete(msg.id);
+      if (msg.error) p.reject(new Error(`${p.method}: ${msg.error.message}`));
+      else p.resolve(msg.result);
+      return;
+    }
+    for (const listener of this.listeners) listener(msg);
+  }
+
+  send(method, params = {}, sessionId) {
+    const id = this.nextId++;
+    this.ws.send(JSON.stringify({ id, method, params, sessionId }));
+    return new Promise((resolve, reject) => this.pending.set(id, { resolve, reject, method }));
+  }
+
+  // Returns a function that removes the listener
+  on(method, callback, sessionId) {
+    const listener = (msg) => {
+      if (msg.method === method && (!sessionId || msg.sessionId === sessionId)) callback(msg.params);
+    };
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  waitFor(method, predicate = () => true, { sessionId, timeout = 10000 } = {}) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        off();
+        reject(new Error(`Timed out waiting for ${method}`));
+      }, timeout);
+      const off = this.on(method, (params) => {
+        if (!predicate(params)) return;
+        clearTimeout(timer);
+        off();
+        resolve(params);
+      }, sessionId);
+    });
+  }
+
+  close() {
+    this.ws.close();
+  }
+}
+
+module.exports = { CDP };
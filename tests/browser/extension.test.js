@@ -0,0 +1,119 @@
+'use strict';
+
+const { describe, test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { skipReason, launch, until, sleep } = require('./harness');
+
+const skip = skipReason();
+
+describe('extension in headless Chromium', { skip }, () => {
+  let browser;
+  let page;
+
+  before(async () => {
+    browser = await launch();
+    // Saves go straight to the download folder rather than a dialog
+    await browser.setSettings({ skipSaveAs: true });
+  });
+
+  after(async () => {
+    await browser?.close();
+  });
+
+  async function magnify(fixture) {
+    page = await browser.openPage(fixture);
+    return page.magnify('#target');
+  }
+
+  describe('picks the image under the pointer', () => {
+    afterEach(() => page?.close());
+
+    test('through a transparent overlay div', async () => {
+      assert.equal(await magnify('overlay.html'), `${browser.origin}/img/photo.svg?size=800x600`);
+    });
+
+    test('the blob: full image over a data: preview stacked above it', async () => {
+      assert.match(await magnify('stacked.html'), /^blob:/);
+    });
+
+    test('the widest srcset candidate, as an absolute URL', async () => {
+      assert.equal(await magnify('srcset.html'), `${browser.origin}/img/w1600.svg?size=1600x1200`);
+    });
+
+    test('the densest <source> of a <picture> that the browser can use', async () => {
+      assert.equal(await magnify('picture.html'), `${browser.origin}/img/x2.svg?size=800x600`);
+    });
+
+    test('an inline SVG, serialized', async () => {
+      assert.match(await magnify('svg.html'), /^data:image\/svg\+xml/);
+    });
+
+    test('a CSS background, as an absolute URL', async () => {
+      assert.equal(await magnify('background.html'), `${browser.origin}/img/bg.svg?size=800x600`);
+    });
+  });
+
+  describe('overlay actions', () => {
+    before(async () => {
+      await magnify('overlay.html');
+      // Give the overlay's image time to decode
+      await sleep(500);
+    });
+
+    after(() => page?.close());
+
+    test('c copies the image as PNG', async () => {
+      await page.press('c');
+      const types = await until(() => page.evaluate(`navigator.clipboard.read()
+        .then((items) => items.flatMap((item) => item.types))
+        .then((types) => types.length && types)`), { what: 'the clipboard' });
+      assert.ok(types.includes('image/png'), `clipboard holds ${types}`);
+    });
+
+    test('s saves the original file into the save folder', async () => {
+      const done = browser.cdp.waitFor('Browser.downloadProgress', (p) => p.state === 'completed');
+      await page.press('s');
+      await done;
+
+      const file = path.join(browser.downloads, 'Double Ctrl', 'photo.svg');
+      assert.ok(fs.existsSync(file), `${file} was not saved`);
+      assert.match(fs.readFileSync(file, 'utf8'), /^<svg/);
+    });
+
+    test('keys stay with the overlay, and Escape closes it', async () => {
+      await page.evaluate('window.__keys.length = 0');
+      await page.press('ArrowRight');
+      await page.press('Escape');
+      await page.waitForOverlayClosed();
+      assert.deepEqual(await page.evaluate('window.__keys'), []);
+
+      // Once the keyups have drained the page gets its keys back
+      await sleep(500);
+      await page.press('x');
+      assert.ok((await page.evaluate('window.__keys')).includes('x'));
+    });
+  });
+
+  describe('text extraction', () => {
+    before(async () => {
+      await magnify('text.html');
+      await sleep(500);
+    });
+
+    after(() => page?.close());
+
+    // Linux Chromium has no TextDetector, so this goes through
+    // background.js to the offscreen document and the bundled Tesseract
+    test('t reads the words in the image', async () => {
+      await page.press('t');
+      const text = await until(() => page.overlayText('dblctrl-ocr-text'), {
+        timeout: 60000, // the engine and its model load on first use
+        what: 'the recognized text'
+      });
+      assert.match(text, /Hello offline world/);
+      assert.match(text, /Second line here/);
+    });
+  });
+});
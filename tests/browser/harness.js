@@ -0,0 +1,306 @@
+// Runs the unpacked extension in headless Chromium against the pages in
+// fixtures/, driven over the DevTools protocol: real mouse and keyboard
+// input, so the trigger, page-blocker.js and the overlay all run the way
+// they do for a user.
+//
+// Needs Node 22+ (for the global WebSocket) and CHROME_PATH pointing at
+// Chromium or Chrome for Testing; branded Chrome ignores --load-extension.
+
+'use strict';
+
+const { spawn } = require('node:child_process');
+const { once } = require('node:events');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const { CDP } = require('./cdp');
+
+const ROOT = path.resolve(__dirname, '../..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+// The content scripts' isolated world is named after the extension
+const EXTENSION_NAME = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8')).name;
+
+function skipReason() {
+  if (typeof WebSocket !== 'function') return 'needs Node 22 or later';
+  if (!process.env.CHROME_PATH) return 'set CHROME_PATH to Chromium or Chrome for Testing';
+  return false;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function until(check, { timeout = 5000, what = 'condition' } = {}) {
+  const end = Date.now() + timeout;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > end) throw new Error(`Timed out waiting for ${what}`);
+    await sleep(50);
+  }
+}
+
+// ── Fixture server ──
+// Serves fixtures/ and generated images: /img/<name>.svg?size=WxH is a
+// flat SVG of that size, so each test can tell from the name which
+// candidate the extension picked. The size goes in the query string so
+// the size-suffix resolvers leave these URLs alone.
+
+function svgImage(name, size) {
+  const [width, height] = (size || '400x300').split('x').map(Number);
+  let hue = 0;
+  for (const ch of name) hue = (hue * 31 + ch.charCodeAt(0)) % 360;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<rect width="100%" height="100%" fill="hsl(${hue} 60% 50%)"/></svg>`;
+}
+
+async function startServer() {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    const image = url.pathname.match(/^\/img\/([\w-]+)\.svg$/);
+    if (image) {
+      res.writeHead(200, { 'Content-Type': 'image/svg+xml' });
+      res.end(svgImage(image[1], url.searchParams.get('size')));
+      return;
+    }
+
+    const file = path.join(FIXTURES, path.normalize(url.pathname));
+    if (!file.startsWith(FIXTURES + path.sep) || !fs.existsSync(file)) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    fs.createReadStream(file).pipe(res);
+  });
+
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return server;
+}
+
+// ── Browser ──
+
+async function launch() {
+  const profile = fs.mkdtempSync(path.join(os.tmpdir(), 'dblctrl-profile-'));
+  const downloads = fs.mkdtempSync(path.join(os.tmpdir(), 'dblctrl-downloads-'));
+
+  const chrome = spawn(process.env.CHROME_PATH, [
+    '--headless=new',
+    `--user-data-dir=${profile}`,
+    '--remote-debugging-port=0',
+    `--disable-extensions-except=${ROOT}`,
+    `--load-extension=${ROOT}`,
+    '--no-first-run',
+    '--no-default-browser-check',
+    '--window-size=1280,800',
+    'about:blank'
+  ], { stdio: ['ignore', 'ignore', 'pipe'] });
+
+  const wsUrl = await new Promise((resolve, reject) => {
+    let log = '';
+    const timer = setTimeout(() => reject(new Error(`Chromium did not start:\n${log}`)), 20000);
+    chrome.stderr.on('data', (chunk) => {
+      log += chunk;
+      const m = log.match(/DevTools listening on (ws:\/\/\S+)/);
+      if (m) {
+        clearTimeout(timer);
+        resolve(m[1]);
+      }
+    });
+    chrome.once('exit', () => {
+      clearTimeout(timer);
+      reject(new Error(`Chromium exited:\n${log}`));
+    });
+    chrome.once('error', reject);
+  });
+
+  const cdp = await CDP.connect(wsUrl);
+  await cdp.send('Browser.setDownloadBehavior', { behavior: 'allow', downloadPath: downloads, eventsEnabled: true });
+  const server = await startServer();
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  await cdp.send('Browser.grantPermissions', { origin, permissions: ['clipboardReadWrite', 'clipboardSanitizedWrite'] });
+
+  return {
+    cdp,
+    origin,
+    downloads,
+    openPage: (fixture) => openPage(cdp, `${origin}/${fixture}`),
+    setSettings: (patch) => setSettings(cdp, patch),
+    async close() {
+      cdp.close();
+      server.close();
+      if (chrome.exitCode === null) {
+        chrome.kill();
+        await once(chrome, 'exit');
+      }
+      fs.rmSync(profile, { recursive: true, force: true });
+      fs.rmSync(downloads, { recursive: true, force: true });
+    }
+  };
+}
+
+// Writes to chrome.storage.sync from the extension's service worker;
+// content scripts pick the change up through DblCtrlSettings.subscribe
+async function setSettings(cdp, patch) {
+  const worker = await until(async () => {
+    const { targetInfos } = await cdp.send('Target.getTargets');
+    return targetInfos.find((t) => t.type === 'service_worker' && t.url.endsWith('/background.js'));
+  }, { timeout: 10000, what: 'the service worker' });
+
+  const { sessionId } = await cdp.send('Target.attachToTarget', { targetId: worker.targetId, flatten: true });
+  try {
+    await cdp.send('Runtime.evaluate', {
+      expression: `chrome.storage.sync.set(${JSON.stringify(patch)})`,
+      awaitPromise: true
+    }, sessionId);
+  } finally {
+    await cdp.send('Target.detachFromTarget', { sessionId });
+  }
+}
+
+// ── Pages ──
+
+const KEYS = {
+  Control: { code: 'ControlLeft', keyCode: 17, modifiers: 2 },
+  Escape: { code: 'Escape', keyCode: 27 },
+  ArrowRight: { code: 'ArrowRight', keyCode: 39 },
+  ArrowLeft: { code: 'ArrowLeft', keyCode: 37 }
+};
+
+function keyInfo(key) {
+  if (KEYS[key]) return KEYS[key];
+  // A printable letter
+  return { code: `Key${key.toUpperCase()}`, keyCode: key.toUpperCase().charCodeAt(0), text: key };
+}
+
+// attributes is a flat [name, value, name, value, ...] list
+function attribute(node, name) {
+  const attrs = node.attributes || [];
+  for (let i = 0; i < attrs.length; i += 2) {
+    if (attrs[i] === name) return attrs[i + 1];
+  }
+  return null;
+}
+
+class Page {
+  constructor(cdp, targetId, sessionId) {
+    this.cdp = cdp;
+    this.targetId = targetId;
+    this.sessionId = sessionId;
+    this.extensionContext = null;
+  }
+
+  send(method, params) {
+    return this.cdp.send(method, params, this.sessionId);
+  }
+
+  async evaluate(expression, contextId) {
+    const { result, exceptionDetails } = await this.send('Runtime.evaluate', {
+      expression,
+      contextId,
+      awaitPromise: true,
+      returnByValue: true
+    });
+    if (exceptionDetails) throw new Error(exceptionDetails.exception?.description || exceptionDetails.text);
+    return result.value;
+  }
+
+  // In the content scripts' world rather than the page's
+  evaluateInExtension(expression) {
+    return this.evaluate(expression, this.extensionContext);
+  }
+
+  async hover(selector) {
+    const { x, y } = await this.evaluate(`(() => {
+      const r = document.querySelector(${JSON.stringify(selector)}).getBoundingClientRect();
+      return { x: r.x + r.width / 2, y: r.y + r.height / 2 };
+    })()`);
+    await this.send('Input.dispatchMouseEvent', { type: 'mouseMoved', x, y });
+  }
+
+  async press(key) {
+    const { code, keyCode, text, modifiers = 0 } = keyInfo(key);
+    const common = { key, code, windowsVirtualKeyCode: keyCode };
+    await this.send('Input.dispatchKeyEvent', { type: text ? 'keyDown' : 'rawKeyDown', text, modifiers, ...common });
+    await this.send('Input.dispatchKeyEvent', { type: 'keyUp', ...common });
+  }
+
+  async doubleCtrl() {
+    await this.press('Control');
+    await this.press('Control');
+  }
+
+  // The overlay sits in a closed shadow root, out of reach of page
+  // scripts but not of the DOM domain. Returns the first non-null value
+  // of `pick` over the document, shadow roots included.
+  async findInDom(pick) {
+    const { root } = await this.send('DOM.getDocument', { depth: -1, pierce: true });
+    const find = (node) => {
+      const value = pick(node);
+      if (value !== null) return value;
+      for (const child of [...(node.shadowRoots || []), ...(node.children || [])]) {
+        const found = find(child);
+        if (found !== null) return found;
+      }
+      return null;
+    };
+    return find(root);
+  }
+
+  overlayImage() {
+    return this.findInDom((node) => (attribute(node, 'id') === 'dblctrl-image' ? attribute(node, 'src') || '' : null));
+  }
+
+  // The text of the first overlay element with class `className`
+  overlayText(className) {
+    return this.findInDom((node) => {
+      if (!(attribute(node, 'class') || '').split(' ').includes(className)) return null;
+      return (node.children || []).map((child) => child.nodeValue || '').join('');
+    });
+  }
+
+  // The URL the overlay opens with, after hovering `selector` and
+  // pressing Ctrl twice
+  async magnify(selector) {
+    await this.hover(selector);
+    await this.doubleCtrl();
+    return until(() => this.overlayImage(), { what: 'the overlay' });
+  }
+
+  async waitForOverlayClosed() {
+    await until(async () => (await this.overlayImage()) === null, { what: 'the overlay to close' });
+  }
+
+  close() {
+    return this.cdp.send('Target.closeTarget', { targetId: this.targetId });
+  }
+}
+
+async function openPage(cdp, url) {
+  const { targetId } = await cdp.send('Target.createTarget', { url: 'about:blank' });
+  const { sessionId } = await cdp.send('Target.attachToTarget', { targetId, flatten: true });
+  const page = new Page(cdp, targetId, sessionId);
+
+  // The clipboard only takes writes from a focused document
+  await page.send('Emulation.setFocusEmulationEnabled', { enabled: true });
+  await page.send('Page.enable');
+  const contexts = [];
+  cdp.on('Runtime.executionContextCreated', ({ context }) => contexts.push(context), sessionId);
+  await page.send('Runtime.enable');
+
+  await page.send('Page.navigate', { url });
+  await until(() => page.evaluate('window.__ready === true').catch(() => false), { what: `${url} to load` });
+
+  const { frameTree } = await page.send('Page.getFrameTree');
+  const context = contexts.filter((c) => c.name === EXTENSION_NAME && c.auxData?.frameId === frameTree.frame.id).pop();
+  if (!context) throw new Error('The content scripts did not load');
+  page.extensionContext = context.id;
+  // Content scripts run at document_idle, possibly after the page's load
+  await until(() => page.evaluateInExtension('!!self.DblCtrlImages'), { what: 'the content scripts' });
+  // and then read their settings from storage
+  await sleep(200);
+  return page;
+}
+
+module.exports = { skipReason, launch, until, sleep };
@@ -0,0 +1,84 @@
+// Just enough DOM to run the extension's pure modules under Node:
+// elements with properties, children and a layout box. Nothing is
+// computed — each element's box and background are whatever the test
+// says they are.
+
+'use strict';
+
+class Element {
+  constructor(document, tagName, { rect, backgroundImage, dataset, ...props } = {}, children = []) {
+    this.ownerDocument = document;
+    // HTML elements report upper case; SVG ones keep their own case
+    this.tagName = tagName === 'svg' ? tagName : tagName.toUpperCase();
+    this.parentElement = null;
+    this.children = [];
+    this.dataset = { ...dataset };
+    this.backgroundImage = backgroundImage || 'none';
+    this.rect = { x: 0, y: 0, width: 0, height: 0, ...rect };
+    this.srcset = '';
+    this.src = '';
+    Object.assign(this, props);
+
+    for (const child of children) {
+      child.parentElement = this;
+      this.children.push(child);
+    }
+  }
+
+  getBoundingClientRect() {
+    const { x, y, width, height } = this.rect;
+    return { x, y, left: x, top: y, width, height, right: x + width, bottom: y + height };
+  }
+
+  contains(other) {
+    for (let el = other; el; el = el.parentElement) {
+      if (el === this) return true;
+    }
+    return false;
+  }
+
+  // Tag-name selectors only, optionally comma-separated ("img, picture")
+  querySelectorAll(selector) {
+    const tags = selector.split(',').map((t) => t.trim().toLowerCase());
+    const found = [];
+    const walk = (el) => {
+      for (const child of el.children) {
+        if (tags.includes(child.tagName.toLowerCase())) found.push(child);
+        walk(child);
+      }
+    };
+    walk(this);
+    return found;
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
+
+function createDocument(baseURI = 'https://example.com/') {
+  const document = {
+    baseURI,
+    // h('img', { srcset, rect: { x, y, width, height } }, [...children])
+    h: (tagName, props, children) => new Element(document, tagName, props, children)
+  };
+  return document;
+}
+
+// The media queries matchMedia() reports as matching; none by default
+const matchingMedia = new Set();
+
+function setMatchingMedia(...queries) {
+  matchingMedia.clear();
+  for (const q of queries) matchingMedia.add(q);
+}
+
+// Makes images.js and friends loadable with require(): they attach
+// themselves to `self` and call getComputedStyle and matchMedia as globals.
+function install(global = globalThis) {
+  global.self = global;
+  global.getComputedStyle = (el) => ({ backgroundImage: el.backgroundImage });
+  global.matchMedia = (query) => ({ media: query, matches: matchingMedia.has(query) });
+}
+
+module.exports = { createDocument, install, setMatchingMedia };
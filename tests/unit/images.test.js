@@ -0,0 +1,173 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDocument, install, setMatchingMedia } = require('../dom-shim');
+
+install();
+require('../../images.js');
+
+const {
+  parseSrcset,
+  bestSrcFromPicture,
+  extractBgUrl,
+  absoluteUrl,
+  scoreCandidate,
+  bestCandidate,
+  outermostElements,
+  containsPoint
+} = self.DblCtrlImages;
+
+const doc = createDocument('https://example.com/gallery/');
+const box = (width, height, x = 0, y = 0) => ({ x, y, width, height });
+
+test('parseSrcset picks the widest w candidate', () => {
+  assert.equal(parseSrcset('a.jpg 400w, b.jpg 1600w, c.jpg 800w'), 'b.jpg');
+});
+
+test('parseSrcset picks the highest density, with 1x as the default', () => {
+  assert.equal(parseSrcset('a.jpg, b.jpg 2x, c.jpg 1.5x'), 'b.jpg');
+  assert.equal(parseSrcset('only.jpg'), 'only.jpg');
+});
+
+test('parseSrcset copes with line breaks and extra spaces', () => {
+  assert.equal(parseSrcset('\n  small.jpg  320w,\n  large.jpg   1280w\n'), 'large.jpg');
+});
+
+test('parseSrcset returns null for an empty srcset', () => {
+  assert.equal(parseSrcset(''), null);
+  assert.equal(parseSrcset(undefined), null);
+});
+
+test('bestSrcFromPicture takes the first <source> with a srcset', () => {
+  const picture = doc.h('picture', {}, [
+    doc.h('source', { srcset: 'hero.avif 1x, hero@2x.avif 2x' }),
+    doc.h('source', { srcset: 'hero.webp 1x' }),
+    doc.h('img', { src: 'https://example.com/hero.jpg', rect: box(300, 200) })
+  ]);
+  assert.equal(bestSrcFromPicture(picture, 20), 'hero@2x.avif');
+});
+
+test('bestSrcFromPicture passes over sources whose media query does not match', () => {
+  const picture = doc.h('picture', {}, [
+    doc.h('source', { media: '(max-width: 600px)', srcset: 'crop-square.jpg 2x' }),
+    doc.h('source', { media: '(min-width: 601px)', srcset: 'wide.jpg 1x, wide@2x.jpg 2x' }),
+    doc.h('img', { src: 'fallback.jpg', rect: box(300, 200) })
+  ]);
+  setMatchingMedia('(min-width: 601px)');
+  assert.equal(bestSrcFromPicture(picture, 20), 'wide@2x.jpg');
+  setMatchingMedia();
+  assert.equal(bestSrcFromPicture(picture, 20), 'fallback.jpg');
+});
+
+test('bestSrcFromPicture passes over types the browser cannot decode', () => {
+  const picture = doc.h('picture', {}, [
+    doc.h('source', { type: 'image/jxl', srcset: 'photo.jxl' }),
+    doc.h('source', { type: 'image/webp; codecs=vp8', srcset: 'photo.webp' }),
+    doc.h('img', { src: 'photo.jpg', rect: box(300, 200) })
+  ]);
+  assert.equal(bestSrcFromPicture(picture, 20), 'photo.webp');
+});
+
+test('bestSrcFromPicture falls back to the <img>, srcset first', () => {
+  const picture = doc.h('picture', {}, [
+    doc.h('source', {}),
+    doc.h('img', { srcset: 'p-640.jpg 640w, p-1280.jpg 1280w', src: 'p.jpg', rect: box(300, 200) })
+  ]);
+  assert.equal(bestSrcFromPicture(picture, 20), 'p-1280.jpg');
+});
+
+test('bestSrcFromPicture uses a lazy-loading data-src', () => {
+  const picture = doc.h('picture', {}, [
+    doc.h('img', { dataset: { src: 'lazy.jpg' }, rect: box(300, 200) })
+  ]);
+  assert.equal(bestSrcFromPicture(picture, 20), 'lazy.jpg');
+});
+
+test('bestSrcFromPicture skips an <img> below the minimum size', () => {
+  const picture = doc.h('picture', {}, [doc.h('img', { src: 'icon.png', rect: box(16, 16) })]);
+  assert.equal(bestSrcFromPicture(picture, 20), null);
+});
+
+test('extractBgUrl reads quoted and unquoted url()', () => {
+  const quoted = doc.h('div', { backgroundImage: 'url("https://example.com/bg.jpg")', rect: box(400, 300) });
+  const bare = doc.h('div', { backgroundImage: 'url(https://example.com/bg.jpg)', rect: box(400, 300) });
+  assert.equal(extractBgUrl(quoted, 20), 'https://example.com/bg.jpg');
+  assert.equal(extractBgUrl(bare, 20), 'https://example.com/bg.jpg');
+});
+
+test('extractBgUrl finds the url() among gradients', () => {
+  const el = doc.h('div', {
+    backgroundImage: 'linear-gradient(rgba(0, 0, 0, 0.5), transparent), url("https://example.com/photo.png")',
+    rect: box(400, 300)
+  });
+  assert.equal(extractBgUrl(el, 20), 'https://example.com/photo.png');
+});
+
+test('extractBgUrl ignores no background, gradients only and small elements', () => {
+  assert.equal(extractBgUrl(doc.h('div', { rect: box(400, 300) }), 20), null);
+  assert.equal(extractBgUrl(doc.h('div', { backgroundImage: 'linear-gradient(red, blue)', rect: box(400, 300) }), 20), null);
+  assert.equal(extractBgUrl(doc.h('div', { backgroundImage: 'url("x.png")', rect: box(400, 10) }), 20), null);
+});
+
+test('absoluteUrl resolves against the element\'s own document', () => {
+  const frameDoc = createDocument('https://cdn.example.net/frame/index.html');
+  assert.equal(absoluteUrl('photo.jpg', doc.h('img')), 'https://example.com/gallery/photo.jpg');
+  assert.equal(absoluteUrl('photo.jpg', frameDoc.h('img')), 'https://cdn.example.net/frame/photo.jpg');
+});
+
+test('absoluteUrl leaves blob: and data: URLs alone', () => {
+  assert.equal(absoluteUrl('blob:https://web.whatsapp.com/1234', doc.h('img')), 'blob:https://web.whatsapp.com/1234');
+  assert.equal(absoluteUrl('data:image/png;base64,AAAA', doc.h('img')), 'data:image/png;base64,AAAA');
+});
+
+// The WhatsApp case: a blurred data: preview and the full blob: stacked
+// at the same spot, the preview often the bigger one on screen.
+test('a blob: image outranks a data: preview at the same spot', () => {
+  const preview = doc.h('img', { rect: box(330, 330), naturalWidth: 32, naturalHeight: 32 });
+  const full = doc.h('img', { rect: box(320, 320), naturalWidth: 1600, naturalHeight: 1600 });
+  const best = bestCandidate([
+    { url: 'data:image/jpeg;base64,AAAA', score: scoreCandidate('data:image/jpeg;base64,AAAA', preview), el: preview },
+    { url: 'blob:https://web.whatsapp.com/1', score: scoreCandidate('blob:https://web.whatsapp.com/1', full), el: full }
+  ]);
+  assert.equal(best.url, 'blob:https://web.whatsapp.com/1');
+});
+
+test('a blob: image outranks a bigger https: one', () => {
+  const big = doc.h('img', { rect: box(1000, 800), naturalWidth: 4000, naturalHeight: 3000 });
+  const small = doc.h('img', { rect: box(200, 150), naturalWidth: 400, naturalHeight: 300 });
+  assert.ok(scoreCandidate('blob:https://example.com/1', small) > scoreCandidate('https://example.com/big.jpg', big));
+});
+
+test('among the same kind of URL, the larger image wins', () => {
+  const thumb = doc.h('img', { rect: box(150, 150), naturalWidth: 150, naturalHeight: 150 });
+  const large = doc.h('img', { rect: box(600, 400), naturalWidth: 1200, naturalHeight: 800 });
+  const best = bestCandidate([
+    { url: 'https://example.com/thumb.jpg', score: scoreCandidate('https://example.com/thumb.jpg', thumb) },
+    { url: 'https://example.com/large.jpg', score: scoreCandidate('https://example.com/large.jpg', large) }
+  ]);
+  assert.equal(best.url, 'https://example.com/large.jpg');
+});
+
+test('bestCandidate returns null for no candidates and leaves the list alone', () => {
+  assert.equal(bestCandidate([]), null);
+  const list = [{ url: 'a', score: 1 }, { url: 'b', score: 2 }];
+  bestCandidate(list);
+  assert.deepEqual(list.map((c) => c.url), ['a', 'b']);
+});
+
+test('outermostElements keeps only the elements nothing else in the stack contains', () => {
+  const img = doc.h('img');
+  const cover = doc.h('div');
+  const bubble = doc.h('div', {}, [img]);
+  const html = doc.h('html', {}, [doc.h('body', {}, [bubble])]);
+  const overlay = doc.h('div', {}, [cover]);
+  assert.deepEqual(outermostElements([cover, img, bubble, html, overlay]), [html, overlay]);
+});
+
+test('containsPoint includes the edges of the box', () => {
+  const el = doc.h('img', { rect: box(100, 50, 10, 20) });
+  assert.ok(containsPoint(el, 10, 20));
+  assert.ok(containsPoint(el, 110, 70));
+  assert.ok(!containsPoint(el, 111, 40));
+});
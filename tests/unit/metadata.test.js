@@ -0,0 +1,172 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { install } = require('../dom-shim');
+
+install();
+require('../../metadata.js');
+
+const { sniffMime, extensionForMime, parse } = self.DblCtrlMetadata;
+
+const ascii = (str) => [...Buffer.from(str, 'latin1')];
+const utf8 = (str) => [...Buffer.from(str, 'utf8')];
+const u16le = (n) => [n & 0xFF, n >> 8];
+const u32le = (n) => [n & 0xFF, (n >> 8) & 0xFF, (n >> 16) & 0xFF, n >>> 24];
+const u16be = (n) => [n >> 8, n & 0xFF];
+const u32be = (n) => [n >>> 24, (n >> 16) & 0xFF, (n >> 8) & 0xFF, n & 0xFF];
+const bytes = (...parts) => new Uint8Array(parts.flat());
+
+// ── Builders ──
+
+// A little-endian TIFF: IFD0, then the EXIF sub-IFD if there is one.
+// Entries are [tag, type, value]: ASCII strings (2), shorts (3) and
+// [numerator, denominator] rationals (5).
+function tiff(ifd0, exif = []) {
+  const ifdSize = (entries) => 2 + entries.length * 12 + 4;
+  const main = exif.length ? [...ifd0, [0x8769, 4, null]] : ifd0;
+  const exifAt = 8 + ifdSize(main);
+  const dataAt = exifAt + (exif.length ? ifdSize(exif) : 0);
+  const data = [];
+
+  const encode = (entries) => {
+    const out = [...u16le(entries.length)];
+    for (const [tag, type, value] of entries) {
+      let payload;
+      if (type === 2) payload = ascii(value + '\0');
+      else if (type === 3) payload = u16le(value);
+      else if (type === 5) payload = [...u32le(value[0]), ...u32le(value[1])];
+      else payload = u32le(exifAt); // the EXIF IFD pointer
+      const count = type === 2 ? payload.length : 1;
+      out.push(...u16le(tag), ...u16le(type), ...u32le(count));
+      if (payload.length <= 4) {
+        out.push(...payload, ...new Array(4 - payload.length).fill(0));
+      } else {
+        out.push(...u32le(dataAt + data.length));
+        data.push(...payload);
+      }
+    }
+    return [...out, ...u32le(0)];
+  };
+
+  return [...ascii('II'), ...u16le(42), ...u32le(8), ...encode(main), ...(exif.length ? encode(exif) : []), ...data];
+}
+
+function jpegSegment(marker, payload) {
+  return [0xFF, marker, ...u16be(payload.length + 2), ...payload];
+}
+
+// IPTC datasets [[dataset, text]] inside a Photoshop image resource
+function photoshopIptc(datasets) {
+  const iptc = datasets.flatMap(([dataset, text]) => [0x1C, 2, dataset, ...u16be(utf8(text).length), ...utf8(text)]);
+  const padding = iptc.length % 2 ? [0] : [];
+  return [...ascii('Photoshop 3.0\0'), ...ascii('8BIM'), ...u16be(0x0404), 0, 0, ...u32be(iptc.length), ...iptc, ...padding];
+}
+
+function pngChunk(type, data) {
+  return [...u32be(data.length), ...ascii(type), ...data, 0, 0, 0, 0]; // the CRC isn't checked
+}
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+const field = (group, label, value) => ({ group, label, value });
+
+// ── sniffMime ──
+
+test('sniffMime recognizes images by their magic bytes', () => {
+  const cases = [
+    [bytes([0xFF, 0xD8, 0xFF, 0xE0]), 'image/jpeg'],
+    [bytes(PNG_SIGNATURE), 'image/png'],
+    [bytes(ascii('GIF89a')), 'image/gif'],
+    [bytes(ascii('GIF87a')), 'image/gif'],
+    [bytes(ascii('RIFF'), u32le(100), ascii('WEBPVP8 ')), 'image/webp'],
+    [bytes(u32be(28), ascii('ftypavif')), 'image/avif'],
+    [bytes(u32be(28), ascii('ftypavis')), 'image/avif'],
+    [bytes(u32be(28), ascii('ftypheic')), 'image/heic'],
+    [bytes(ascii('BM'), u32le(70)), 'image/bmp'],
+    [bytes([0, 0, 1, 0, 1, 0]), 'image/x-icon'],
+    [bytes(ascii('II'), [0x2A, 0]), 'image/tiff'],
+    [bytes(ascii('MM'), [0, 0x2A]), 'image/tiff']
+  ];
+  for (const [input, mime] of cases) assert.equal(sniffMime(input), mime);
+});
+
+test('sniffMime recognizes SVG, with or without an XML declaration', () => {
+  assert.equal(sniffMime(bytes(ascii('\n  <svg xmlns="http://www.w3.org/2000/svg"/>'))), 'image/svg+xml');
+  assert.equal(sniffMime(bytes(ascii('<?xml version="1.0"?>\n<!-- logo -->\n<SVG></SVG>'))), 'image/svg+xml');
+  assert.equal(sniffMime(bytes(ascii('<?xml version="1.0"?><feed/>'))), null);
+});
+
+test('sniffMime returns null for unknown or too-short input', () => {
+  assert.equal(sniffMime(bytes(ascii('<!doctype html>'))), null);
+  assert.equal(sniffMime(bytes([0xFF, 0xD8])), null);
+  assert.equal(sniffMime(bytes(ascii('RIFF'), u32le(100), ascii('WAVE'))), null);
+  assert.equal(sniffMime(new Uint8Array(0)), null);
+});
+
+test('extensionForMime reads Content-Type values', () => {
+  assert.equal(extensionForMime('image/jpeg'), 'jpg');
+  assert.equal(extensionForMime('Image/SVG+XML; charset=utf-8'), 'svg');
+  assert.equal(extensionForMime('image/vnd.microsoft.icon'), 'ico');
+  assert.equal(extensionForMime('text/html'), null);
+  assert.equal(extensionForMime(null), null);
+});
+
+// ── parse ──
+
+test('parse reads EXIF from a JPEG, camera settings included', () => {
+  const exif = tiff(
+    [[0x010F, 2, 'Canon'], [0x0110, 2, 'EOS R5'], [0x0112, 3, 6]],
+    [[0x829A, 5, [1, 250]], [0x829D, 5, [28, 10]], [0x920A, 5, [50, 1]]]
+  );
+  const jpeg = bytes([0xFF, 0xD8], jpegSegment(0xE1, [...ascii('Exif\0\0'), ...exif]), [0xFF, 0xDA]);
+
+  assert.deepEqual(parse(jpeg), [
+    field('EXIF', 'Camera make', 'Canon'),
+    field('EXIF', 'Camera model', 'EOS R5'),
+    field('EXIF', 'Orientation', '6'),
+    field('EXIF', 'Exposure', '1/250 s'),
+    field('EXIF', 'Aperture', 'f/2.8'),
+    field('EXIF', 'Focal length', '50 mm')
+  ]);
+});
+
+test('parse reads IPTC from a JPEG, joining repeated keywords', () => {
+  const iptc = photoshopIptc([[5, 'Harbour at dusk'], [25, 'boats'], [25, 'sunset'], [80, 'Zoë']]);
+  const jpeg = bytes([0xFF, 0xD8], jpegSegment(0xED, iptc), [0xFF, 0xDA]);
+
+  assert.deepEqual(parse(jpeg), [
+    field('IPTC', 'Title', 'Harbour at dusk'),
+    field('IPTC', 'Keywords', 'boats, sunset'),
+    field('IPTC', 'By-line', 'Zoë')
+  ]);
+});
+
+test('parse reads PNG text chunks and skips raw profiles', () => {
+  const png = bytes(
+    PNG_SIGNATURE,
+    pngChunk('IHDR', new Array(13).fill(0)),
+    pngChunk('tEXt', ascii('Author\0Jane Doe')),
+    pngChunk('tEXt', ascii('Raw profile type exif\0\nexif\n  12\n')),
+    pngChunk('iTXt', [...ascii('Title\0'), 0, 0, ...ascii('en\0Titel\0'), ...utf8('Café')]),
+    pngChunk('IEND', [])
+  );
+
+  assert.deepEqual(parse(png), [
+    field('Text', 'Author', 'Jane Doe'),
+    field('Text', 'Title', 'Café')
+  ]);
+});
+
+test('parse reads EXIF from a WebP', () => {
+  const exif = tiff([[0x010F, 2, 'Google']]);
+  const webp = bytes(ascii('RIFF'), u32le(4 + 8 + exif.length), ascii('WEBP'), ascii('EXIF'), u32le(exif.length), exif);
+  assert.deepEqual(parse(webp), [field('EXIF', 'Camera make', 'Google')]);
+});
+
+test('parse returns nothing for truncated or unsupported files', () => {
+  const exif = tiff([[0x010F, 2, 'Canon']]);
+  const jpeg = bytes([0xFF, 0xD8], jpegSegment(0xE1, [...ascii('Exif\0\0'), ...exif]));
+  assert.deepEqual(parse(jpeg.subarray(0, 20)), []);
+  assert.deepEqual(parse(bytes(ascii('GIF89a'), [1, 0, 1, 0])), []);
+  assert.deepEqual(parse(new Uint8Array(0)), []);
+});
@@ -0,0 +1,170 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { install } = require('../dom-shim');
+
+install();
+require('../../settings.js');
+
+const {
+  DEFAULTS,
+  normalize,
+  matchesSite,
+  isSiteEnabled,
+  isHistoryKept,
+  parseChord,
+  chordFromEvent,
+  matchesChord,
+  parseProvider
+} = self.DblCtrlSettings;
+
+const keydown = (code, key, modifiers = {}) => ({
+  code,
+  key,
+  ctrlKey: false,
+  altKey: false,
+  shiftKey: false,
+  metaKey: false,
+  ...modifiers
+});
+
+// ── Site rules ──
+
+test('matchesSite matches a hostname exactly', () => {
+  assert.ok(matchesSite('example.com', 'https://example.com/page'));
+  assert.ok(matchesSite('example.com', 'http://EXAMPLE.com:8080/'));
+  assert.ok(!matchesSite('example.com', 'https://www.example.com/'));
+  assert.ok(!matchesSite('example.com', 'https://example.com.evil.net/'));
+});
+
+test('matchesSite lets *. match subdomains and the domain itself', () => {
+  assert.ok(matchesSite('*.example.com', 'https://example.com/'));
+  assert.ok(matchesSite('*.example.com', 'https://a.b.example.com/'));
+  assert.ok(!matchesSite('*.example.com', 'https://notexample.com/'));
+});
+
+test('matchesSite treats a path as a prefix, with wildcards', () => {
+  assert.ok(matchesSite('example.com/editor', 'https://example.com/editor/doc/1'));
+  assert.ok(matchesSite('example.com/editor/*', 'https://example.com/editor/doc/1'));
+  assert.ok(matchesSite('example.com/*/edit', 'https://example.com/docs/edit?id=2'));
+  assert.ok(matchesSite('example.com/editor', 'https://example.com/Editor'));
+  assert.ok(!matchesSite('example.com/editor', 'https://example.com/view/editor'));
+});
+
+test('matchesSite takes regex characters in a pattern literally', () => {
+  assert.ok(!matchesSite('example.com', 'https://exampleXcom/'));
+  assert.ok(!matchesSite('example.com/a+b', 'https://example.com/aab'));
+  assert.ok(matchesSite('example.com/a+b', 'https://example.com/a+b'));
+});
+
+test('matchesSite never matches a URL it cannot parse', () => {
+  assert.ok(!matchesSite('*', 'not a url'));
+});
+
+test('isSiteEnabled: blocked sites win, and an allow list shuts out the rest', () => {
+  const s = normalize({ blockedSites: ['ads.example.com'], allowedSites: ['*.example.com'] });
+  assert.ok(isSiteEnabled(s, 'https://www.example.com/'));
+  assert.ok(!isSiteEnabled(s, 'https://ads.example.com/'));
+  assert.ok(!isSiteEnabled(s, 'https://other.org/'));
+  assert.ok(isSiteEnabled(normalize({}), 'https://other.org/'));
+});
+
+test('isHistoryKept needs history on and the site not excluded', () => {
+  const url = 'https://bank.example/statement';
+  assert.ok(!isHistoryKept(normalize({}), url));
+  assert.ok(isHistoryKept(normalize({ historyEnabled: true }), url));
+  assert.ok(!isHistoryKept(normalize({ historyEnabled: true, historyExcludedSites: ['bank.example'] }), url));
+});
+
+// ── normalize ──
+
+test('normalize fills in defaults', () => {
+  assert.deepEqual(normalize({}), normalize(DEFAULTS));
+  assert.equal(normalize(undefined).triggerKey, 'Control');
+});
+
+test('normalize clamps numbers and rejects unknown choices', () => {
+  const s = normalize({
+    doubleTapThreshold: 5,
+    backdropOpacity: 3,
+    hoverDelay: 'soon',
+    triggerKey: 'CapsLock',
+    triggerMode: 'triple',
+    saveFormat: 'tiff',
+    triggerChord: 'Ctrl+Shift'
+  });
+  assert.equal(s.doubleTapThreshold, 150);
+  assert.equal(s.backdropOpacity, 1);
+  assert.equal(s.hoverDelay, DEFAULTS.hoverDelay);
+  assert.equal(s.triggerKey, 'Control');
+  assert.equal(s.triggerMode, 'double');
+  assert.equal(s.saveFormat, 'original');
+  assert.equal(s.triggerChord, DEFAULTS.triggerChord);
+});
+
+test('normalize sorts zoom levels and keeps them within maxZoom', () => {
+  assert.deepEqual(normalize({ zoomLevels: [4, '2', 2, -1, 'x', 16], maxZoom: 8 }).zoomLevels, [2, 4]);
+  assert.deepEqual(normalize({ zoomLevels: [], maxZoom: 2 }).zoomLevels, [0.5, 1, 2]);
+});
+
+test('normalize cleans site lists and templates', () => {
+  const s = normalize({
+    blockedSites: [' HTTPS://Example.com/Path ', 'example.com/path', '', 'chrome-extension://abc'],
+    saveFilename: '   ',
+    saveFolder: '  Pictures  '
+  });
+  assert.deepEqual(s.blockedSites, ['example.com/path', 'abc']);
+  assert.equal(s.saveFilename, DEFAULTS.saveFilename);
+  assert.equal(s.saveFolder, 'Pictures');
+});
+
+test('normalize keeps valid search providers, and an empty list', () => {
+  const s = normalize({ searchProviders: ['Mine | https://s.example/?u={url}', 'Broken | ftp://x/{url}', 'Mine | https://s.example/?u={url}'] });
+  assert.deepEqual(s.searchProviders, ['Mine | https://s.example/?u={url}']);
+  assert.deepEqual(normalize({ searchProviders: [] }).searchProviders, []);
+  assert.deepEqual(normalize({ searchProviders: 'nope' }).searchProviders, DEFAULTS.searchProviders);
+});
+
+// ── Chords ──
+
+test('parseChord splits modifiers from the key', () => {
+  assert.deepEqual(parseChord('Alt+Shift+Z'), { ctrl: false, alt: true, shift: true, meta: false, key: 'Z' });
+  assert.deepEqual(parseChord(' Ctrl + F2 '), { ctrl: true, alt: false, shift: false, meta: false, key: 'F2' });
+});
+
+test('parseChord rejects bare modifiers and unknown ones', () => {
+  assert.equal(parseChord('Ctrl+Alt'), null);
+  assert.equal(parseChord('Hyper+Z'), null);
+  assert.equal(parseChord(''), null);
+  assert.equal(parseChord(42), null);
+});
+
+test('chordFromEvent names keys by their code', () => {
+  assert.equal(chordFromEvent(keydown('KeyZ', 'Ω', { altKey: true, shiftKey: true })), 'Alt+Shift+Z');
+  assert.equal(chordFromEvent(keydown('Digit1', '!', { ctrlKey: true, shiftKey: true })), 'Ctrl+Shift+1');
+  assert.equal(chordFromEvent(keydown('ShiftLeft', 'Shift', { shiftKey: true })), null);
+});
+
+test('matchesChord needs exactly the chord’s modifiers', () => {
+  assert.ok(matchesChord(keydown('KeyZ', 'Ω', { altKey: true, shiftKey: true }), 'Alt+Shift+Z'));
+  assert.ok(!matchesChord(keydown('KeyZ', 'Z', { altKey: true, shiftKey: true, ctrlKey: true }), 'Alt+Shift+Z'));
+  assert.ok(!matchesChord(keydown('KeyX', 'x', { altKey: true, shiftKey: true }), 'Alt+Shift+Z'));
+  assert.ok(!matchesChord(keydown('KeyZ', 'z'), 'nonsense+'));
+});
+
+// ── Search providers ──
+
+test('parseProvider reads name, template and the optional upload form', () => {
+  assert.deepEqual(parseProvider('Bing | https://bing.example/?q={url}'),
+    { name: 'Bing', url: 'https://bing.example/?q={url}', upload: null, field: null });
+  assert.deepEqual(parseProvider('Lens | https://lens.example/?u={url} | https://lens.example/up | file'),
+    { name: 'Lens', url: 'https://lens.example/?u={url}', upload: 'https://lens.example/up', field: 'file' });
+});
+
+test('parseProvider rejects lines without a usable template or field', () => {
+  assert.equal(parseProvider('No url | https://x.example/'), null);
+  assert.equal(parseProvider('| https://x.example/{url}'), null);
+  assert.equal(parseProvider('Upload | https://x.example/{url} | https://x.example/up'), null);
+  assert.equal(parseProvider(null), null);
+});
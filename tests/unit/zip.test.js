@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const { install } = require('../dom-shim');
+
+install();
+require('../../zip.js');
+
+const { create, crc32 } = self.DblCtrlZip;
+
+const files = [
+  { name: '01-photo.jpg', bytes: new Uint8Array([0xFF, 0xD8, 0xFF, 0xE0, 1, 2, 3]) },
+  { name: 'Café/02-schön.png', bytes: new TextEncoder().encode('not really a PNG') },
+  { name: '03-empty.gif', bytes: new Uint8Array(0) }
+];
+
+const hasUnzip = (() => {
+  try {
+    execFileSync('unzip', ['-v'], { stdio: 'ignore' });
+    return true;
+  } catch (e) {
+    return false;
+  }
+})();
+
+async function archive() {
+  return new Uint8Array(await create(files, new Date(2024, 4, 17, 13, 45, 30)).arrayBuffer());
+}
+
+test('crc32 matches zlib', () => {
+  assert.equal(crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+  for (const { bytes } of files) assert.equal(crc32(bytes), zlib.crc32(bytes));
+});
+
+test('create returns a zip Blob', () => {
+  const blob = create(files);
+  assert.equal(blob.type, 'application/zip');
+});
+
+test('the central directory lists every entry at its local header', async () => {
+  const bytes = await archive();
+  const view = new DataView(bytes.buffer);
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054B50);
+  assert.equal(view.getUint16(end + 10, true), files.length);
+
+  const decoder = new TextDecoder();
+  let at = view.getUint32(end + 16, true);
+  for (const file of files) {
+    assert.equal(view.getUint32(at, true), 0x02014B50);
+    assert.equal(view.getUint16(at + 8, true) & 0x0800, 0x0800, 'UTF-8 name flag');
+    const nameLength = view.getUint16(at + 28, true);
+    assert.equal(decoder.decode(bytes.subarray(at + 46, at + 46 + nameLength)), file.name);
+
+    const local = view.getUint32(at + 42, true);
+    assert.equal(view.getUint32(local, true), 0x04034B50);
+    assert.equal(view.getUint32(local + 14, true), zlib.crc32(file.bytes));
+    const data = local + 30 + view.getUint16(local + 26, true);
+    assert.deepEqual(bytes.subarray(data, data + file.bytes.length), file.bytes);
+
+    at += 46 + nameLength;
+  }
+});
+
+test('unzip extracts the files as they went in', { skip: !hasUnzip && 'needs unzip' }, async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dblctrl-zip-'));
+  try {
+    const file = path.join(dir, 'images.zip');
+    fs.writeFileSync(file, await archive());
+    assert.match(execFileSync('unzip', ['-t', file], { encoding: 'utf8' }), /No errors detected/);
+    execFileSync('unzip', ['-q', file, '-d', path.join(dir, 'out')]);
+
+    // Not every unzip build decodes UTF-8 names; the test above checks those
+    for (const { name, bytes } of files.filter((f) => /^[\x20-\x7E]+$/.test(f.name))) {
+      assert.deepEqual(new Uint8Array(fs.readFileSync(path.join(dir, 'out', name))), bytes);
+    }
+    const listing = execFileSync('unzip', ['-l', file], { encoding: 'utf8' });
+    assert.match(listing, /2024-05-17 13:45/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,87 @@
+// Minimal ZIP writer for "Save all images". Loaded as a content script
+// before content.js. Entries are stored uncompressed: images are already
+// compressed, so deflating them again would cost time for almost no gain.
+// No ZIP64, so archives stay under 4 GB and 65535 entries.
+
+(function () {
+  'use strict';
+
+  const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c;
+  });
+
+  function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  // MS-DOS date and time, local time, 2-second resolution
+  function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+  }
+
+  // files: [{ name, bytes: Uint8Array }]. Returns a Blob.
+  function create(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, day } = dosDateTime(date);
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const crc = crc32(file.bytes);
+      const size = file.bytes.length;
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034B50, true); // local file header signature
+      local.setUint16(4, 20, true); // version needed: 2.0
+      local.setUint16(6, 0x0800, true); // flags: UTF-8 names
+      local.setUint16(8, 0, true); // method: stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, day, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, size, true); // compressed size
+      local.setUint32(22, size, true); // uncompressed size
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true); // extra field length
+      parts.push(local, name, file.bytes);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014B50, true); // central directory signature
+      entry.setUint16(4, 20, true); // version made by
+      entry.setUint16(6, 20, true); // version needed
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, 0, true);
+      entry.setUint16(12, time, true);
+      entry.setUint16(14, day, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, size, true);
+      entry.setUint32(24, size, true);
+      entry.setUint16(28, name.length, true);
+      // extra/comment lengths, disk number, attributes: all zero
+      entry.setUint32(42, offset, true); // where the local header starts
+      central.push(entry, name);
+
+      offset += 30 + name.length + size;
+    }
+
+    const centralSize = central.reduce((n, part) => n + part.byteLength, 0);
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true); // end of central directory signature
+    end.setUint16(8, files.length, true); // entries on this disk
+    end.setUint16(10, files.length, true); // entries in total
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true); // central directory offset
+
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+  }
+
+  self.DblCtrlZip = { create, crc32 };
+})();